@@ -1,56 +1,173 @@
-// basevalues.js - ESM JSON Adapter for ISU SOV 2025-26
+// basevalues.js - ESM JSON Adapter for ISU SOV（複数シーズン対応）
 // ES Modules版として完全リニューアル
 
-let SOV = null;
+import { checkSOV, formatSOVReport, isPairCode } from './sovcheck.js';
 
-// 非同期初期化関数
-export async function initSOV() {
-  if (SOV) return;
-  
+// シーズンごとのSOVファイルは sov_manifest.json に列挙する
+// { default: シーズンID, seasons: [{ id, label, file, dance, source }] }
+// dance はアイスダンスのSOVファイル（任意）。シーズンIDに「/dance」を付けたキーで読み込み、getBase 等に渡す
+const DANCE_SUFFIX = '/dance';
+const MANIFEST_URL = './sov_manifest.json';
+const FALLBACK_MANIFEST = {
+  default: '2025-26',
+  seasons: [{ id: '2025-26', label: '2025-26', file: 'isu_sov_2025_26_singles_pairs.json' }]
+};
+
+let MANIFEST = null;
+const SOVS = new Map();   // シーズンID（アイスダンスは danceSOVKey）→ SOV JSON
+const REPORTS = new Map(); // 同上 → 整合性チェックの結果 { errors, warnings }
+let currentSeason = null;
+
+async function fetchJSON(url) {
+  const res = await fetch(url);
+  console.log('Fetch response status:', res.status, res.statusText);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+  }
+  return res.json();
+}
+
+async function loadManifest() {
+  if (MANIFEST) return MANIFEST;
   try {
-    console.log('Attempting to fetch SOV JSON data...');
-    const res = await fetch('./isu_sov_2025_26_singles_pairs.json');
-    console.log('Fetch response status:', res.status, res.statusText);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-    }
-    
-    SOV = await res.json();
-    console.log('SOV data loaded successfully. Elements count:', Object.keys(SOV.elements || {}).length);
+    MANIFEST = await fetchJSON(MANIFEST_URL);
+  } catch (error) {
+    console.warn('SOV manifest not available, using the bundled season:', error.message);
+    MANIFEST = FALLBACK_MANIFEST;
+  }
+  return MANIFEST;
+}
+
+// 非同期初期化関数（マニフェストを読み、指定シーズン（省略時は既定）のSOVを読み込んで選択する）
+export async function initSOV(season) {
+  if (currentSeason && !season) return;
+  try {
+    const manifest = await loadManifest();
+    const id = season || manifest.default || manifest.seasons[0]?.id;
+    await loadSeason(id);
+    currentSeason = id;
   } catch (error) {
     console.error('Error loading SOV data:', error);
     throw new Error(`Failed to load SOV data: ${error.message}`);
   }
 }
 
-// SOV API関数
-export function getBase(code) {
-  const e = SOV?.elements?.[code];
+// アイスダンスのSOVのキー（season省略時は選択中のシーズン）
+export function danceSOVKey(season) {
+  return `${season || currentSeason}${DANCE_SUFFIX}`;
+}
+
+// シーズンのSOVを読み込む（読み込み済みなら何もしない）
+// アイスダンスのSOVが読めなくてもシングル・ペアのSOVは使えるようにする
+export async function loadSeason(season) {
+  if (SOVS.has(season)) return;
+  const manifest = await loadManifest();
+  const entry = manifest.seasons.find(s => s.id === season);
+  if (!entry) throw new Error(`Unknown season: ${season}`);
+  console.log(`Attempting to fetch SOV JSON data for ${season}...`);
+  const data = await fetchJSON(`./${entry.file}`);
+  loadSOV(data, season);
+  console.log('SOV data loaded successfully. Elements count:', Object.keys(data.elements || {}).length);
+  if (entry.dance) {
+    try {
+      loadSOV(await fetchJSON(`./${entry.dance}`), danceSOVKey(season));
+    } catch (error) {
+      console.warn(`Ice dance SOV not available for ${season}:`, error.message);
+    }
+  }
+}
+
+// 読み込み済みのJSONを直接設定（Node等、fetchできない環境向け）。最初に読み込んだシーズンが選択される
+// 整合性チェックの問題はコンソールに出し、getSOVReport で取得できる（読み込み自体は続ける）
+export function loadSOV(data, season = FALLBACK_MANIFEST.default) {
+  if (!data || typeof data.elements !== 'object') {
+    throw new Error('Invalid SOV data: "elements" is missing');
+  }
+  const report = checkSOV(data);
+  formatSOVReport(report, season).forEach(line => (report.errors.length ? console.error : console.warn)(line));
+  REPORTS.set(season, report);
+  SOVS.set(season, data);
+  if (!currentSeason && !season.endsWith(DANCE_SUFFIX)) currentSeason = season;
+}
+
+// Node等でマニフェストを直接設定する
+export function setManifest(manifest) {
+  MANIFEST = manifest;
+}
+
+// マニフェストのシーズン一覧（loaded: 読み込み済みか、danceLoaded: アイスダンスのSOVを読み込み済みか）
+export function getSeasons() {
+  const manifest = MANIFEST || FALLBACK_MANIFEST;
+  return manifest.seasons.map(s => ({ ...s, loaded: SOVS.has(s.id), danceLoaded: SOVS.has(danceSOVKey(s.id)) }));
+}
+
+export function getCurrentSeason() {
+  return currentSeason;
+}
+
+export function getSOVReport(season) {
+  return REPORTS.get(season || currentSeason) || null;
+}
+
+export function hasSeason(season) {
+  return SOVS.has(season);
+}
+
+// 種目（singles / pairs / dance）をこのシーズンのSOVで採点できるか（season省略時は選択中のシーズン）
+// ペアはシングル・ペアのSOVにペアの表（スロー・ツイスト・リフトなど）が入っているとき、アイスダンスはダンス用のSOVを読み込んだときのみ
+export function isDisciplineAvailable(discipline, season) {
+  const id = season || currentSeason;
+  const sov = SOVS.get(id);
+  if (!sov) return false;
+  if (discipline === 'pairs') return Object.keys(sov.elements).some(isPairCode);
+  if (discipline === 'dance') return SOVS.has(danceSOVKey(id));
+  return true;
+}
+
+export function setSeason(season) {
+  if (!SOVS.has(season)) throw new Error(`Season not loaded: ${season}`);
+  currentSeason = season;
+}
+
+function sovFor(season) {
+  const sov = SOVS.get(season || currentSeason);
+  if (!sov && season) throw new Error(`Season not loaded: ${season}`);
+  return sov;
+}
+
+// SOV API関数（season省略時は選択中のシーズン）
+export function getBase(code, season) {
+  const e = sovFor(season)?.elements?.[code];
   if (!e) throw new Error(`Unknown element code: ${code}`);
   return e.base;
 }
 
-export function getDelta(code, goe) {
+export function getDelta(code, goe, season) {
   if (goe === 0) return 0;
-  const e = SOV?.elements?.[code];
+  const e = sovFor(season)?.elements?.[code];
   if (!e) throw new Error(`Unknown element code: ${code}`);
   const d = e.goe[String(goe)];
   if (typeof d !== 'number') throw new Error(`No GOE=${goe} for ${code}`);
   return d;
 }
 
-export function getScore(code, goe) {
-  const v = getBase(code) + getDelta(code, goe);
+export function getScore(code, goe, season) {
+  const v = getBase(code, season) + getDelta(code, goe, season);
   return Math.round(v * 100) / 100;
 }
 
-// 5回転対応：指定した素ジャンプで利用可能な回転数を返す
-export function getAvailableRotationsFor(baseJump) {
-  if (!SOV?.elements) return [];
-  const exist = new Set(Object.keys(SOV.elements));
-  const letters = ['T','S','Lo','F','Lz','A'];
-  if (!letters.includes(baseJump)) return [];
+// SOVに登録されている要素コードの一覧（入力補完用）
+export function getElementCodes(season) {
+  const sov = sovFor(season);
+  return sov?.elements ? Object.keys(sov.elements) : [];
+}
+
+// 5回転対応：指定した素ジャンプで利用可能な回転数を返す（「LzTh」のようにスロージャンプも可）
+export function getAvailableRotationsFor(baseJump, season) {
+  const sov = sovFor(season);
+  if (!sov?.elements) return [];
+  const exist = new Set(Object.keys(sov.elements));
+  if (!/^(T|S|Lo|F|Lz|A)(Th)?$/.test(baseJump)) return [];
   const rot = [];
   for (let n=1; n<=5; n++) {
     const code = `${n}${baseJump}`;
@@ -61,10 +178,25 @@ export function getAvailableRotationsFor(baseJump) {
   return rot;
 }
 
+const LEVELS = ['B', '1', '2', '3', '4'];
+const SPIN_PREFIXES = ['', 'F', 'C', 'FC'];
+
+// スピン・シークエンス：修飾込みのコード（「FCCoSp」「PCoSp」「StSq」「ChSq」など）で利用可能なレベルを返す。v: true ならV付きのコード
+export function getAvailableLevelsFor(baseCode, season, { v = false } = {}) {
+  const sov = sovFor(season);
+  if (!sov?.elements) return [];
+  return LEVELS.filter(level => `${baseCode}${level}${v ? 'V' : ''}` in sov.elements);
+}
+
+// スピン：指定したスピン（「CoSp」「USp」など）に付けられるフライング・足換えの接頭辞（''、'F'、'C'、'FC'）を返す
+export function getAvailableSpinPrefixesFor(spin, season) {
+  return SPIN_PREFIXES.filter(prefix => getAvailableLevelsFor(`${prefix}${spin}`, season).length > 0);
+}
+
 // 既存のbasevaluesオブジェクト互換性（レガシー対応）
 export const basevalues = new Proxy({}, {
   get(target, prop) {
-    if (!SOV) {
+    if (!sovFor()) {
       throw new Error('SOV data not loaded. Call initSOV() first.');
     }
     
@@ -114,18 +246,15 @@ export const basevalues = new Proxy({}, {
         get(target, level) {
           if (level === '0') return 0.0;
           
+          // スピンは「FC3V」のように接頭辞（F / C / FC）とV付きのレベルも受け付け、SOVのコードそのままで引く
           let code;
           if (prop === 'StSq') {
             code = `${prop}${level}`;
           } else {
-            if (typeof level === 'string' && level.match(/^[FC]/)) {
-              const modifier = level[0];
-              const actualLevel = level.slice(1);
-              if (actualLevel === '0') return 0.0;
-              code = `${modifier}${prop}${actualLevel}`;
-            } else {
-              code = `${prop}${level}`;
-            }
+            const m = typeof level === 'string' ? /^(FC|F|C)?([0B1-4])(V)?$/.exec(level) : null;
+            if (!m) return undefined;
+            if (m[2] === '0') return 0.0;
+            code = `${m[1] || ''}${prop}${m[2]}${m[3] || ''}`;
           }
           
           try {
@@ -0,0 +1,151 @@
+// competition.js - 大会（複数の選手 × 2つのセグメント）の順位と保存（順位の計算はDOM非依存。保存はブラウザの localStorage）
+// 大会 = { id, name, category, entries: [エントリー], createdAt, updatedAt }
+// エントリー = { id, name, nation, startOrder: { [セグメントID]: 滑走順 }, programs: { [セグメントID]: プログラム } }
+// category は segments.js の CATEGORIES の id（例: senior-women）。プログラムは computeProgram の入力（画面の状態）をそのまま持つ
+// 順位（ISUのタイブレーク）
+// - セグメント: TSSの高い順。同点なら前半（SP / RD）はTES、後半（FS / FD）はPCSの高い方。なお同じなら同順位
+// - 総合: 合計点の高い順。同点なら後半のセグメントの順位、次に前半のセグメントの順位。なお同じなら同順位
+//   後半のプログラムが無い選手（後半に進めなかった選手）は、両方滑った選手の後ろに前半の順位で並べる
+
+import { computeProgram } from './engine.js';
+import { getCategory } from './segments.js';
+
+const STORAGE_KEY = 'figure-skating-score.competitions.v1';
+
+function storage() {
+  return globalThis.localStorage;
+}
+
+function readAll() {
+  try {
+    const list = JSON.parse(storage().getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// 書き込めないとき（保存容量の超過、ストレージが使えないなど）は例外。保存済みの内容は変わらない
+function writeAll(list) {
+  try {
+    storage().setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    const quota = err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err?.code === 22;
+    throw new Error(quota
+      ? '大会を保存できませんでした（ブラウザの保存容量がいっぱいです。不要なデータを削除してください）'
+      : `大会を保存できませんでした: ${err?.message ?? err}`);
+  }
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+// 更新日時の新しい順
+export function listCompetitions() {
+  return readAll().sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function getCompetition(id) {
+  const event = readAll().find(e => e.id === id);
+  return event ? clone(event) : null;
+}
+
+// id があれば上書き、無ければ新規に追加して保存した1件を返す
+export function saveCompetition(event) {
+  const list = readAll();
+  const now = new Date().toISOString();
+  const i = event.id ? list.findIndex(e => e.id === event.id) : -1;
+  const saved = {
+    id: i >= 0 ? event.id : newId(),
+    name: String(event.name || '').trim() || '無題の大会',
+    category: getCategory(event.category).id,
+    entries: clone(event.entries || []),
+    createdAt: i >= 0 ? list[i].createdAt : now,
+    updatedAt: now
+  };
+  if (i >= 0) list[i] = saved;
+  else list.push(saved);
+  writeAll(list);
+  return clone(saved);
+}
+
+export function deleteCompetition(id) {
+  writeAll(readAll().filter(e => e.id !== id));
+}
+
+export function newEntry({ name = '', nation = '' } = {}) {
+  return { id: newId(), name: String(name).trim(), nation: String(nation).trim().toUpperCase(), startOrder: {}, programs: {} };
+}
+
+// 同点を同順位にした順位付け。compare は a が上位なら負の値。戻り値は並べ替えた配列（各要素に place）
+function rankBy(rows, compare) {
+  const sorted = rows.slice().sort(compare);
+  sorted.forEach((row, i) => {
+    row.place = i > 0 && compare(sorted[i - 1], row) === 0 ? sorted[i - 1].place : i + 1;
+  });
+  return sorted;
+}
+
+const byScore = key => (a, b) => b[key] - a[key];
+
+// セグメントの結果。プログラムの無い選手は含めない。計算できないプログラム（SOVの無いシーズンなど）は errors に入れる
+// 戻り値: { segment, results: [{ entry, place, tss, tes, pcs, deduct, startOrder }], errors: [{ entry, message }] }
+export function computeSegmentResults(event, segmentId) {
+  const category = getCategory(event.category);
+  const first = category.segments[0] === segmentId;
+  const rows = [];
+  const errors = [];
+  for (const entry of event.entries || []) {
+    const program = entry.programs?.[segmentId];
+    if (!program) continue;
+    try {
+      const res = computeProgram({ ...program, segment: segmentId });
+      rows.push({ entry, tss: res.tss, tes: res.tes, pcs: res.pcs, deduct: res.deduct, startOrder: entry.startOrder?.[segmentId] ?? null });
+    } catch (err) {
+      errors.push({ entry, message: err.message });
+    }
+  }
+  const tieBreak = first ? 'tes' : 'pcs';
+  const results = rankBy(rows, (a, b) => byScore('tss')(a, b) || byScore(tieBreak)(a, b));
+  return { segment: segmentId, results, errors };
+}
+
+// 各セグメントと総合の順位
+// 戻り値: { segments: [computeSegmentResults の結果], overall: [{ entry, place, total, scores: { [セグメントID]: TSS }, places: { [セグメントID]: 順位 }, complete }] }
+export function computeStandings(event) {
+  const category = getCategory(event.category);
+  const segments = category.segments.map(id => computeSegmentResults(event, id));
+  const [firstId, lastId] = [category.segments[0], category.segments[category.segments.length - 1]];
+  const rows = (event.entries || []).map(entry => {
+    const scores = {};
+    const places = {};
+    segments.forEach(seg => {
+      const r = seg.results.find(row => row.entry.id === entry.id);
+      if (r) { scores[seg.segment] = r.tss; places[seg.segment] = r.place; }
+    });
+    const complete = category.segments.every(id => id in scores);
+    const total = Math.round(Object.values(scores).reduce((sum, v) => sum + v, 0) * 100) / 100;
+    return { entry, total, scores, places, complete };
+  }).filter(row => firstId in row.scores);
+
+  const place = (row, id) => row.places[id] ?? Infinity;
+  const complete = rankBy(rows.filter(r => r.complete), (a, b) =>
+    byScore('total')(a, b) || place(a, lastId) - place(b, lastId) || place(a, firstId) - place(b, firstId));
+  const partial = rankBy(rows.filter(r => !r.complete), (a, b) => place(a, firstId) - place(b, firstId));
+  partial.forEach(row => { row.place += complete.length; });
+  return { segments, overall: [...complete, ...partial] };
+}
+
+// 後半のセグメントの滑走順: 前半の順位の逆（下位から滑る）。前半の結果の無い選手は最初に滑る
+// 戻り値: { [エントリーID]: 滑走順 }
+export function reverseStartOrder(event, fromSegmentId) {
+  const { results } = computeSegmentResults(event, fromSegmentId);
+  const ranked = results.slice().reverse().map(r => r.entry.id);
+  const others = (event.entries || []).map(e => e.id).filter(id => !ranked.includes(id));
+  return Object.fromEntries([...others, ...ranked].map((id, i) => [id, i + 1]));
+}
@@ -0,0 +1,280 @@
+// engine.js - DOM非依存の採点エンジン
+// script.js / index.html / Nodeツールで同じ計算結果を得るための共通モジュール
+
+import { getBase, getDelta, hasSeason, danceSOVKey, isDisciplineAvailable, getCurrentSeason } from './basevalues.js';
+import { getSegment, getFallDeduction, DEDUCTION_TYPES } from './segments.js';
+import { validateProgram, applyValidation } from './rules.js';
+
+// 小数第2位に丸める（ISUプロトコル同様、0.005は0から遠い側へ）
+export function round2(v) {
+  const n = Math.round(Math.abs(v) * 100 + 1e-8) / 100;
+  return v < 0 ? -n : n;
+}
+
+// 要素パーツ（コンビネーションの1ジャンプ、スピン、シークエンス、ペアの要素）の初期値
+// type: jump / spin / seq / throw（スロージャンプ）/ pair（ツイストリフト・リフト・デススパイラル・ピボットフィギュア）
+//       / dance（アイスダンスのリフト・ツイズル・ステップ・コレオ・パターンダンス要素。ダンススピンは spin）
+// b: SOVの「b」付きジャンプ（3Lzb等。基礎点・GOEは付かないものと同じ）
+// seq: ジャンプシークエンス（+SEQ。要素の先頭パーツのみ）
+// fall: その要素での転倒数（要素の先頭パーツのみ。プロトコルのInfo欄の「F」）
+// partner: アイスダンスのパートナー別レベル（W / M。SyTwW4+SyTwM3 のように2パーツで1要素）
+// kp: パターンダンス要素のキーポイント（Y / N の並び。例: YYNY）
+export function newPart() {
+  return { type:null, name:null, lod:'0', ur:false, dg:false, q:false, attention:false, edge:false, b:false, rep:false, spinV:false, fly:false, cof:false, invalid:false, bonus:false, seq:false, fall:0, partner:'', kp:'', goe:0 };
+}
+
+export function isRenderablePart(p) {
+  if (!p || !p.type) return false;
+  return ['jump', 'spin', 'seq', 'throw', 'pair', 'dance'].includes(p.type) && !!p.name;
+}
+
+// パーツからSOVの要素コードを組み立てる（値が付かない場合はnull）
+// ジャンプ: 回転数+種類+エッジ(e/!)+回転不足(<</</q)+b 例: 3Lz!q, 3Fe<, 3Lzqb
+// スロー:   回転数+種類+Th+回転不足(<</</q)          例: 3LzTh, 3STh<
+// スピン:   F+C+種類+レベル+V                     例: FCCoSp3V, PCoSp4
+// シークエンス・ペアの要素: 種類+レベル              例: StSq4, ChSq1, 3Tw4, 5ALi4, BoDs3, PiF2
+// アイスダンス: 種類+パートナー(W/M)+レベル          例: StaLi4, SyTwW4, MiStM3, ChLi1, 1MB3
+export function getPartCode(p) {
+  if (!isRenderablePart(p) || p.invalid) return null;
+  const lod = String(p.lod ?? '0');
+  if (lod === '0') return null;
+  if (p.type === 'jump') {
+    let code = `${lod}${p.name}`;
+    if (p.edge) code += 'e';
+    else if (p.attention) code += '!';
+    if (p.dg) code += '<<';
+    else if (p.ur) code += '<';
+    else if (p.q) code += 'q';
+    if (p.b) code += 'b';
+    return code;
+  }
+  if (p.type === 'throw') {
+    return `${lod}${p.name}Th${p.dg ? '<<' : p.ur ? '<' : p.q ? 'q' : ''}`;
+  }
+  if (p.type === 'spin') {
+    return `${p.fly ? 'F' : ''}${p.cof ? 'C' : ''}${p.name}${lod}${p.spinV ? 'V' : ''}`;
+  }
+  if (p.type === 'dance') return `${p.name}${p.partner || ''}${lod}`;
+  return `${p.name}${lod}`;
+}
+
+// プロトコル表記（1パーツ分）
+export function getPartDisplay(p) {
+  let out = '';
+  if (!p) return out;
+  const lod = String(p.lod ?? '0');
+  if (p.type === 'jump') {
+    if (lod !== '0') out += lod;
+    if (p.name) out += p.name;
+    if (p.edge) out += 'e';
+    else if (p.attention) out += '!';
+    if (p.dg) out += '<<';
+    else if (p.ur) out += '<';
+    else if (p.q) out += 'q';
+    if (p.b) out += 'b';
+    if (p.invalid) out += '*';
+    if (p.rep) out += '+REP';
+  } else if (p.type === 'throw') {
+    if (lod !== '0') out += lod;
+    if (p.name) out += `${p.name}Th`;
+    if (p.dg) out += '<<';
+    else if (p.ur) out += '<';
+    else if (p.q) out += 'q';
+    if (p.invalid) out += '*';
+  } else if (p.type === 'spin') {
+    if (p.fly) out += 'F';
+    if (p.cof) out += 'C';
+    if (p.name) out += p.name;
+    if (lod !== '0') out += lod;
+    if (p.spinV) out += 'V';
+    if (p.invalid) out += '*';
+  } else if (p.type === 'seq' || p.type === 'pair') {
+    if (p.name) out += p.name;
+    if (lod !== '0') out += lod;
+    if (p.invalid) out += '*';
+  } else if (p.type === 'dance') {
+    if (p.name) out += p.name;
+    if (p.partner) out += p.partner;
+    if (lod !== '0') out += lod;
+    if (p.invalid) out += '*';
+    if (p.kp) out += `+kp${p.kp}`;
+  }
+  return out;
+}
+
+export function getElementDisplayText(parts) {
+  const seq = parts.filter(isRenderablePart);
+  let out = seq.map(getPartDisplay).join('+');
+  if (seq.length > 0 && parts[0]?.seq) out += '+SEQ';
+  if (seq.length > 0 && parts[0]?.bonus) out += '  x';
+  return out;
+}
+
+// 最高・最低を1つずつ除いた平均（トリム平均）。3人未満は単純平均
+export function trimmedMean(values) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (v.length === 0) return 0;
+  const kept = v.length >= 3 ? v.slice(1, -1) : v;
+  return kept.reduce((sum, x) => sum + x, 0) / kept.length;
+}
+
+// 要素の審判団GOE（-5〜+5）。judgesが無い場合は単一のgoeを1人分として扱う
+export function getPanelMarks(head) {
+  const marks = Array.isArray(head.judges) ? head.judges.filter(Number.isFinite) : [];
+  return marks.length > 0 ? marks : [parseInt(head.goe || 0, 10)];
+}
+
+function lookupBase(code, season) {
+  try { return getBase(code, season); }
+  catch { return null; }
+}
+
+// 1要素（パーツ配列）の基礎点・GOE・得点を計算（season省略時は選択中のシーズンのSOV）
+// - 基礎点: 各パーツのSOV値の合計（ジャンプシークエンス+SEQも合計）。ボーナス(x)は×1.1、+REPは該当ジャンプのみ×0.7
+// - GOE: 基礎点が最も高いパーツのSOV GOE行で各ジャッジのGOEを換算し、
+//        トリム平均を小数第2位に丸める（ボーナス・REP前の値）
+//        アイスダンスのパートナー別の要素（SyTwW4+SyTwM3 等）は、両パートナーのGOE行の和で換算する
+export function computeElementResult(parts, season) {
+  const head = parts[0] || {};
+  const local = parts.filter(isRenderablePart);
+  let sumBVForScore = 0.0;
+  let codeForGOE = null;
+  let maxBV = -1;
+
+  const breakdown = local.map(p => {
+    const code = getPartCode(p);
+    const bv = code ? lookupBase(code, season) : 0.0;
+    const unknown = code !== null && bv === null;
+    let bvForScore = bv || 0.0;
+    if (head.bonus) bvForScore *= 1.1;
+    if (p.rep) bvForScore *= 0.7;
+    sumBVForScore += bvForScore;
+    if (code && !unknown && bv > maxBV) {
+      maxBV = bv;
+      codeForGOE = code;
+    }
+    return { code, display: getPartDisplay(p), bv: bv || 0.0, unknown };
+  });
+
+  const marks = getPanelMarks(head);
+  const goe = round2(trimmedMean(marks));
+  const partnerCodes = local.every(p => p.partner) ? breakdown.filter(b => b.code && !b.unknown).map(b => b.code) : [];
+  let goeValue = 0.0;
+  if (partnerCodes.length > 0) {
+    try { goeValue = trimmedMean(marks.map(m => partnerCodes.reduce((sum, code) => sum + getDelta(code, m, season), 0))); }
+    catch { goeValue = 0.0; }
+  } else if (codeForGOE) {
+    try { goeValue = trimmedMean(marks.map(m => getDelta(codeForGOE, m, season))); }
+    catch { goeValue = 0.0; }
+  }
+  goeValue = round2(goeValue);
+
+  const totalBV = round2(sumBVForScore);
+  const totalScore = round2(totalBV + goeValue);
+  return {
+    display: getElementDisplayText(parts),
+    parts: breakdown,
+    bonus: !!head.bonus,
+    judges: Array.isArray(head.judges) ? head.judges.slice() : [],
+    falls: Number(head.fall || 0),
+    unknownCodes: breakdown.filter(b => b.unknown).map(b => b.code),
+    totalBV,
+    goe,
+    goeValue,
+    totalScore
+  };
+}
+
+// 演技構成点の構成要素（構成・表現・スケート技術）
+export const PCS_COMPONENTS = ['co', 'pr', 'ss'];
+
+// PCS: { co, pr, ss, factor, factors }
+// - co/pr/ss: 単一の点、またはジャッジ別の点の配列（0.25刻み）
+// - factors: 構成要素別の係数（無ければ共通のfactor）
+// 構成要素ごとにトリム平均を小数第2位に丸め、係数を掛けて合計する
+export function computePCSBreakdown(pcs) {
+  const components = {};
+  let total = 0.0;
+  for (const key of PCS_COMPONENTS) {
+    const v = pcs[key];
+    const marks = Array.isArray(v) ? v.filter(Number.isFinite) : [Number(v || 0)];
+    const mean = round2(trimmedMean(marks));
+    const factor = Number(pcs.factors?.[key] ?? pcs.factor ?? 0);
+    components[key] = { marks: Array.isArray(v) ? v.slice() : [], mean, factor, score: round2(mean * factor) };
+    total += mean * factor;
+  }
+  return { components, total: round2(total) };
+}
+
+export function computePCS(pcs) {
+  return computePCSBreakdown(pcs).total;
+}
+
+// 要素の転倒マーカーの合計
+export function countElementFalls(elements) {
+  return (elements || []).reduce((sum, parts) => sum + Number(parts[0]?.fall || 0), 0);
+}
+
+// 減点の内訳: [{ key, label, count, value }]（value は負の値。先頭は転倒）
+// 転倒数 = 要素の転倒マーカー + 要素外の転倒（program.falls）。その他は program.deductions の件数 × 1件あたりの点
+export function computeDeductions(program, segment = getSegment(program.segment)) {
+  const falls = countElementFalls(program.elements) + Number(program.falls || 0);
+  const items = [{ key: 'falls', label: '転倒', count: falls, value: getFallDeduction(segment, falls) }];
+  for (const type of DEDUCTION_TYPES) {
+    const count = Math.max(0, Number(program.deductions?.[type.key] || 0));
+    items.push({ key: type.key, label: type.label, count, value: round2(-count * type.amount) });
+  }
+  return items;
+}
+
+const DISCIPLINE_MISSING = {
+  pairs: 'ペアの要素（スロー・ツイスト・リフトなど）がありません',
+  dance: 'アイスダンスのSOVがありません'
+};
+
+// 競技区分の種目をシーズンのSOVで採点できなければ例外（要素を0点にして計算を続けない）
+export function assertDisciplineAvailable(segment, season) {
+  if (!isDisciplineAvailable(segment.discipline, season)) {
+    const missing = DISCIPLINE_MISSING[segment.discipline] || 'この種目の要素がありません';
+    throw new Error(`${segment.label}は採点できません（SOV ${season || getCurrentSeason()} に${missing}）`);
+  }
+}
+
+// プログラム全体: { segment, season, elements: [parts[]], pcs, falls, deductions, deduct }
+// season は読み込み済みのSOVのシーズン（省略時は選択中のシーズン）。アイスダンスは同じシーズンのダンス用SOVを使う
+// PCSの係数が指定されていなければセグメントのプリセットを使う
+// ウェルバランスの検証で無効（*）となった要素・ジャンプは得点に含めない
+// 減点 = computeDeductions の合計 + deduct（内訳に入らない減点。以前の版の自由入力の値もここに入る）
+export function computeProgram(program) {
+  const segment = getSegment(program.segment);
+  const season = program.season || undefined;
+  if (season && !hasSeason(season)) throw new Error(`SOVが読み込まれていないシーズンです: ${season}`);
+  if (segment.discipline !== 'singles') assertDisciplineAvailable(segment, season);
+  const sovKey = segment.discipline === 'dance' ? danceSOVKey(season) : season;
+  const validation = validateProgram(program.elements || [], segment);
+  const elements = applyValidation(program.elements || [], validation).map(parts => computeElementResult(parts, sovKey));
+  const tes = round2(elements.reduce((sum, r) => sum + r.totalScore, 0));
+  const pcsInput = program.pcs || {};
+  const hasFactor = pcsInput.factors || pcsInput.factor != null;
+  const pcsDetail = computePCSBreakdown(hasFactor ? pcsInput : { ...pcsInput, factors: segment.pcsFactors });
+  const pcs = pcsDetail.total;
+  const deductions = computeDeductions(program, segment);
+  const falls = deductions[0].count;
+  const fallDeduct = deductions[0].value;
+  const deduct = round2(Number(program.deduct || 0) + deductions.reduce((sum, d) => sum + d.value, 0));
+  const tss = round2(tes + pcs + deduct);
+  return { segment: segment.id, season: season || null, elements, validation, tes, pcs, pcsDetail, falls, fallDeduct, deductions, deduct, tss };
+}
+
+// 同じプログラムを2つのシーズンのSOVで計算して比較する（差 = B − A）
+export function compareSeasons(program, seasonA, seasonB) {
+  const a = computeProgram({ ...program, season: seasonA });
+  const b = computeProgram({ ...program, season: seasonB });
+  const elements = a.elements.map((ra, i) => {
+    const rb = b.elements[i];
+    return { display: ra.display, a: ra.totalScore, b: rb.totalScore, diff: round2(rb.totalScore - ra.totalScore) };
+  });
+  const diff = {};
+  for (const key of ['tes', 'pcs', 'tss']) diff[key] = round2(b[key] - a[key]);
+  return { a, b, elements, diff };
+}
@@ -0,0 +1,243 @@
+// export.js - プログラムをISUのジャッジ詳細（Judges Details per Skater）形式で書き出す（DOM非依存）
+// buildProtocol で computeProgram の結果を表の形にまとめ、CSV / JSON / 印刷用HTML に変換する
+// 大会の滑走順と結果（toStartListCSV / toStandingsCSV）もここで CSV にする
+
+import { computeProgram, getElementDisplayText, PCS_COMPONENTS, round2 } from './engine.js';
+import { getSegment } from './segments.js';
+import { applyValidation } from './rules.js';
+
+export const COMPONENT_NAMES = {
+  co: 'Composition',
+  pr: 'Presentation',
+  ss: 'Skating Skills'
+};
+
+// 減点の項目名（ISUプロトコルの表記）
+export const DEDUCTION_NAMES = {
+  falls: 'Falls',
+  interruption: 'Interruption in excess',
+  time: 'Time violation',
+  costume: 'Costume & prop violation',
+  illegal: 'Illegal element/movement',
+  music: 'Music requirements violation'
+};
+
+// Info欄の記号（<<, <, q, e, !, *, F）。コンビネーション内の重複は1つにまとめる
+function infoMarks(parts) {
+  const marks = [];
+  const add = m => { if (!marks.includes(m)) marks.push(m); };
+  for (const p of parts) {
+    if (p.edge) add('e');
+    else if (p.attention) add('!');
+    if (p.dg) add('<<');
+    else if (p.ur) add('<');
+    else if (p.q) add('q');
+    if (p.invalid) add('*');
+  }
+  if (parts[0]?.fall) add('F');
+  return marks.join(' ');
+}
+
+// Executed Elements 欄の要素コード（+SEQ・+REP・* を含む）。ボーナスの x は別の欄に出す
+function elementCode(parts) {
+  return getElementDisplayText(parts.map((p, i) => (i === 0 ? { ...p, bonus: false } : p)));
+}
+
+// 書き出し用のプロトコル
+// - elements: 番号・要素コード（xを除く）・Info・基礎点・ボーナス・GOE値・ジャッジ別GOE・得点
+// - components: 構成要素ごとの係数・ジャッジ別の点・平均・係数後の点
+// - deductions: 減点の内訳（items。件数0の項目も含む）、内訳に入らない減点（other）、合計
+export function buildProtocol(program, options = {}) {
+  const res = computeProgram(program);
+  const segment = getSegment(res.segment);
+  // Info欄にはウェルバランスの検証で付いた「*」も含める
+  const inputs = applyValidation(program.elements || [], res.validation);
+  const elements = res.elements.map((r, i) => ({
+    number: i + 1,
+    code: elementCode(inputs[i]),
+    info: infoMarks(inputs[i]),
+    baseValue: r.totalBV,
+    bonus: r.bonus,
+    goe: r.goeValue,
+    judges: r.judges,
+    score: r.totalScore
+  }));
+  const components = PCS_COMPONENTS.map(key => {
+    const c = res.pcsDetail.components[key];
+    return { key, name: COMPONENT_NAMES[key], factor: c.factor, judges: c.marks, mean: c.mean, score: c.score };
+  });
+  return {
+    title: options.title || '',
+    segment: { id: segment.id, label: segment.label },
+    season: res.season,
+    judgeCount: Math.max(0, ...elements.map(e => e.judges.length), ...components.map(c => c.judges.length)),
+    elements,
+    baseValueTotal: round2(elements.reduce((sum, e) => sum + e.baseValue, 0)),
+    tes: res.tes,
+    components,
+    pcs: res.pcs,
+    deductions: {
+      falls: res.falls,
+      fallDeduct: res.fallDeduct,
+      items: res.deductions.map(d => ({ key: d.key, name: DEDUCTION_NAMES[d.key], count: d.count, value: d.value })),
+      other: round2(res.deduct - res.deductions.reduce((sum, d) => sum + d.value, 0)),
+      total: res.deduct
+    },
+    tss: res.tss
+  };
+}
+
+export function toJSON(protocol) {
+  return JSON.stringify(protocol, null, 2);
+}
+
+// 文字列が = + - @（とタブ・改行）で始まると表計算ソフトが数式として扱うため、先頭に ' を付ける（数値はそのまま）
+function csvField(v) {
+  let s = v == null ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function fixed(v) {
+  return Number.isFinite(v) ? v.toFixed(2) : '';
+}
+
+function judgeHeaders(n) {
+  return Array.from({ length: n }, (_, i) => `J${i + 1}`);
+}
+
+function judgeCells(marks, n, format = v => v) {
+  return Array.from({ length: n }, (_, i) => (marks[i] == null ? '' : format(marks[i])));
+}
+
+// CSV（Excelで文字化けしないようBOM付き）: 合計、要素、PCS、減点（内訳）の順に表を並べる
+export function toCSV(protocol) {
+  const n = protocol.judgeCount;
+  const rows = [
+    ['Title', 'Segment', 'SOV Season', 'Total Segment Score', 'Total Element Score', 'Total Program Component Score (factored)', 'Total Deductions'],
+    [protocol.title, protocol.segment.label, protocol.season, fixed(protocol.tss), fixed(protocol.tes), fixed(protocol.pcs), fixed(protocol.deductions.total)],
+    [],
+    ['#', 'Executed Elements', 'Info', 'Base Value', 'Bonus', 'GOE', ...judgeHeaders(n), 'Scores of Panel'],
+    ...protocol.elements.map(e => [e.number, e.code, e.info, fixed(e.baseValue), e.bonus ? 'x' : '', fixed(e.goe), ...judgeCells(e.judges, n), fixed(e.score)]),
+    ['', '', '', fixed(protocol.baseValueTotal), '', '', ...judgeCells([], n), fixed(protocol.tes)],
+    [],
+    ['Program Components', 'Factor', ...judgeHeaders(n), 'Score'],
+    ...protocol.components.map(c => [c.name, fixed(c.factor), ...judgeCells(c.judges, n, fixed), fixed(c.mean)]),
+    ['Judges Total Program Component Score (factored)', '', ...judgeCells([], n), fixed(protocol.pcs)],
+    [],
+    ['Deductions', 'Count', 'Value'],
+    ...protocol.deductions.items.map(d => [d.name, d.count, fixed(d.value)]),
+    ...(protocol.deductions.other ? [['Other', '', fixed(protocol.deductions.other)]] : []),
+    ['Total Deductions', '', fixed(protocol.deductions.total)]
+  ];
+  return '\uFEFF' + rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// 大会の滑走順（CSV）。event は competition.js の大会、segmentId のプログラムを滑る順。滑走順の無い選手は最後に登録順で並べる
+export function toStartListCSV(event, segmentId) {
+  const segment = getSegment(segmentId);
+  const order = e => e.startOrder?.[segmentId] ?? Infinity;
+  const entries = (event.entries || []).map((e, i) => ({ e, i })).sort((a, b) => order(a.e) - order(b.e) || a.i - b.i);
+  const rows = [
+    ['Event', 'Segment'],
+    [event.name, segment.label],
+    [],
+    ['Start No.', 'Name', 'Nation'],
+    ...entries.map(({ e }) => [Number.isFinite(order(e)) ? order(e) : '', e.name, e.nation])
+  ];
+  return '\uFEFF' + rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// 大会の結果（CSV）。standings は competition.js の computeStandings の結果。総合順位の表のあと、セグメントごとの表を並べる
+export function toStandingsCSV(event, standings) {
+  const segments = standings.segments.map(s => getSegment(s.segment));
+  const rows = [
+    ['Event'],
+    [event.name],
+    [],
+    ['Pl.', 'Name', 'Nation', 'Total Points', ...segments.flatMap(s => [`${s.segment.toUpperCase()} Pl.`, `${s.segment.toUpperCase()} Points`])],
+    ...standings.overall.map(r => [r.place, r.entry.name, r.entry.nation, fixed(r.total),
+      ...segments.flatMap(s => [r.places[s.id] ?? '', fixed(r.scores[s.id])])])
+  ];
+  standings.segments.forEach((seg, i) => {
+    rows.push(
+      [],
+      [segments[i].label],
+      ['Pl.', 'Name', 'Nation', 'Start No.', 'Total Segment Score', 'Total Element Score', 'Total Program Component Score (factored)', 'Total Deductions'],
+      ...seg.results.map(r => [r.place, r.entry.name, r.entry.nation, r.startOrder ?? '', fixed(r.tss), fixed(r.tes), fixed(r.pcs), fixed(r.deduct)])
+    );
+  });
+  return '\uFEFF' + rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHTML(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const PRINT_CSS = `
+  body { font-family: Arial, "Hiragino Sans", "Yu Gothic", sans-serif; font-size: 11px; margin: 16px; color: #000; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  h2 { font-size: 12px; font-weight: normal; margin: 0 0 12px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+  th, td { border: 1px solid #000; padding: 2px 4px; }
+  th { background: #e9ecef; font-weight: bold; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  td.judge { text-align: center; width: 26px; }
+  tr.total td { font-weight: bold; border-top: 2px solid #000; }
+  .toolbar { margin-bottom: 12px; }
+  @page { size: A4 landscape; margin: 10mm; }
+  @media print { .toolbar { display: none; } body { margin: 0; } th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+`;
+
+// 印刷用HTML（ISUのジャッジ詳細と同じ並び）
+export function toPrintableHTML(protocol) {
+  const n = protocol.judgeCount;
+  const jh = judgeHeaders(n).map(j => `<th class="judge">${j}</th>`).join('');
+  const jc = (marks, format) => judgeCells(marks, n, format).map(v => `<td class="judge">${escapeHTML(v)}</td>`).join('');
+  const blankJudges = '<td class="judge"></td>'.repeat(n);
+  const d = protocol.deductions;
+  // ISUのプロトコルと同じく、減点のある項目だけを「項目: 点 (件数)」で並べる
+  const deductionItems = [
+    ...d.items.filter(i => i.count > 0).map(i => `${escapeHTML(i.name)}: ${fixed(i.value)}${i.key === 'falls' ? ` (${i.count})` : ''}`),
+    ...(d.other ? [`Other: ${fixed(d.other)}`] : [])
+  ];
+
+  const elementRows = protocol.elements.map(e => `
+      <tr><td class="num">${e.number}</td><td>${escapeHTML(e.code)}</td><td>${escapeHTML(e.info)}</td><td class="num">${fixed(e.baseValue)}</td><td>${e.bonus ? 'x' : ''}</td><td class="num">${fixed(e.goe)}</td>${jc(e.judges)}<td class="num">${fixed(e.score)}</td></tr>`).join('');
+  const componentRows = protocol.components.map(c => `
+      <tr><td>${escapeHTML(c.name)}</td><td class="num">${fixed(c.factor)}</td>${jc(c.judges, fixed)}<td class="num">${fixed(c.mean)}</td></tr>`).join('');
+
+  return `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(protocol.title || protocol.segment.label)} - Judges Details</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">印刷</button></div>
+  <h1>${escapeHTML(protocol.segment.label)} JUDGES DETAILS</h1>
+  <h2>${escapeHTML(protocol.title)}${protocol.season ? ` / SOV ${escapeHTML(protocol.season)}` : ''}</h2>
+  <table>
+    <thead><tr><th>Name</th><th class="num">Total Segment Score</th><th class="num">Total Element Score</th><th class="num">Total Program Component Score (factored)</th><th class="num">Total Deductions</th></tr></thead>
+    <tbody><tr><td>${escapeHTML(protocol.title)}</td><td class="num">${fixed(protocol.tss)}</td><td class="num">${fixed(protocol.tes)}</td><td class="num">${fixed(protocol.pcs)}</td><td class="num">${fixed(d.total)}</td></tr></tbody>
+  </table>
+  <table>
+    <thead><tr><th class="num">#</th><th>Executed Elements</th><th>Info</th><th class="num">Base Value</th><th></th><th class="num">GOE</th>${jh}<th class="num">Scores of Panel</th></tr></thead>
+    <tbody>${elementRows}
+      <tr class="total"><td></td><td></td><td></td><td class="num">${fixed(protocol.baseValueTotal)}</td><td></td><td></td>${blankJudges}<td class="num">${fixed(protocol.tes)}</td></tr>
+    </tbody>
+  </table>
+  <table>
+    <thead><tr><th>Program Components</th><th class="num">Factor</th>${jh}<th class="num"></th></tr></thead>
+    <tbody>${componentRows}
+      <tr class="total"><td>Judges Total Program Component Score (factored)</td><td></td>${blankJudges}<td class="num">${fixed(protocol.pcs)}</td></tr>
+    </tbody>
+  </table>
+  <table>
+    <tbody><tr><th>Deductions</th><td>${deductionItems.join(' &nbsp; ')}</td><td class="num">${fixed(d.total)}</td></tr></tbody>
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,160 @@
+// goeguide.js - GOEのガイドライン（プラスの項目と減点項目）から最終GOEを求める（DOM非依存）
+// - プラスの項目の数で +1〜+5 を決める（2つまで +1、3つ +2、4つ +3、5つ +4、6つ +5）。+4 / +5 には最初の3項目（key）がすべて必要
+// - 減点項目の値を足して最終GOE（-5〜+5）にし、最後に必須の上限（転倒は -5 など）を当てはめる
+// 減点の幅（range）はテクニカルハンドブックのガイドラインを要約したもの。ジャッジはこの幅の中から選ぶ
+// 対象はシングルのジャンプ・スピン・StSq・ChSq。ペア・アイスダンスの要素は対象外
+
+// プラスの項目の数 → GOE（テクニカルハンドブックの Guidelines for marking +GOE: 1〜2項目 +1、3 +2、4 +3、5 +4、6 +5。
+// +4 / +5 は太字の最初の3項目が必要）
+const BULLET_GOE = [0, 1, 1, 2, 3, 4, 5];
+const KEY_BULLETS = 3;
+
+// range: 減点の幅（[軽い, 重い]。1つなら固定）、forced: この項目があれば最終GOEはこの値、max: 最終GOEの上限
+export const GOE_GUIDES = {
+  jump: {
+    label: 'ジャンプ',
+    bullets: [
+      '高さと距離が非常に良い',
+      '踏切と着氷が良い',
+      '入りから出まで無理が無い（コンビネーションのリズムを含む）',
+      '直前のステップ・予想外の入り・創造的な入り',
+      '踏切から着氷まで姿勢が非常に良い（空中の姿勢の変化を含む）',
+      '音楽と合っている'
+    ],
+    errors: [
+      { key: 'fall', label: '転倒', range: [-5], forced: -5 },
+      { key: 'twoFeet', label: '両足着氷', range: [-3] },
+      { key: 'stepOut', label: '着氷のステップアウト', range: [-3] },
+      { key: 'handsDown', label: '両手をつく', range: [-3] },
+      { key: 'touchDown', label: '片手・フリーフットがつく', range: [-1, -2] },
+      { key: 'threeTurns', label: 'コンビネーションの間にスリーターン2つ（リズムの途切れ）', range: [-2] },
+      { key: 'poorTakeoff', label: '踏切・着氷が悪い', range: [-1, -3] },
+      { key: 'weakLanding', label: '着氷が弱い（流れが無い）', range: [-1, -2] },
+      { key: 'ur', label: '回転不足（<）', range: [-1, -2], max: 0, flag: 'ur' },
+      { key: 'dg', label: 'ダウングレード（<<）', range: [-2, -3], max: -1, flag: 'dg' },
+      { key: 'q', label: 'クォーター（q）', range: [-1], flag: 'q' },
+      { key: 'edge', label: '不正なエッジ（e）', range: [-1, -3], max: -1, flag: 'edge' },
+      { key: 'attention', label: '不明瞭なエッジ（!）', range: [-1, -2], flag: 'attention' }
+    ]
+  },
+  spin: {
+    label: 'スピン',
+    bullets: [
+      '回転が速い・明らかな加速',
+      '中心が良い・エッジのコントロールが良い',
+      '姿勢が明確（基本姿勢・バリエーションとも）',
+      '創造的・独創的',
+      'すべての姿勢で回転数のバランスが良い',
+      '音楽と合っている'
+    ],
+    errors: [
+      { key: 'fall', label: '転倒', range: [-5], forced: -5 },
+      { key: 'travelling', label: 'トラベリング', range: [-1, -3] },
+      { key: 'slow', label: '回転が遅い・速度が落ちる', range: [-1, -3] },
+      { key: 'poorPosition', label: '姿勢が悪い・姿勢の回転数が足りない', range: [-1, -3] },
+      { key: 'poorFlying', label: 'フライングの踏切・着氷が悪い', range: [-1, -3] },
+      { key: 'changeFoot', label: '足換えが不明瞭', range: [-1, -3] },
+      { key: 'touchDown', label: '両手・フリーフットがつく', range: [-1, -2] }
+    ]
+  },
+  seq: {
+    label: 'ステップシークエンス',
+    bullets: [
+      '勢い・エネルギーがあり、実施が良い',
+      'スピードと流れが良い（深いエッジを含む）',
+      '明確で正確',
+      '深いエッジ・力みの無いターンとステップ',
+      '創造的・独創的',
+      '音楽と合っている'
+    ],
+    errors: [
+      { key: 'fall', label: '転倒', range: [-5], forced: -5 },
+      { key: 'stumble', label: 'つまずき', range: [-1, -2] },
+      { key: 'poorQuality', label: 'ターン・ステップの質が悪い', range: [-1, -3] },
+      { key: 'notMusic', label: '音楽と合っていない', range: [-1, -3] },
+      { key: 'pattern', label: 'パターンの半分未満しか使っていない', range: [-2, -3] }
+    ]
+  },
+  chsq: {
+    label: 'コレオシークエンス',
+    bullets: [
+      '独創的・創造的',
+      '流れとエネルギーが良い',
+      '明確で正確',
+      'リンクの使い方・パターンが良い',
+      '力みが無い',
+      '音楽と合っている'
+    ],
+    errors: [
+      { key: 'fall', label: '転倒', range: [-5], forced: -5 },
+      { key: 'stumble', label: 'つまずき', range: [-1, -2] },
+      { key: 'poorTransitions', label: '動きのつなぎが悪い', range: [-1, -3] },
+      { key: 'notMusic', label: '音楽と合っていない', range: [-1, -3] },
+      { key: 'pattern', label: 'パターンの半分未満しか使っていない', range: [-2, -3] }
+    ]
+  }
+};
+
+// パーツに対応するガイドの種類（ジャンプ・スピン・StSq・ChSq 以外は null）
+export function guideKindFor(part) {
+  if (!part) return null;
+  if (part.type === 'jump') return 'jump';
+  if (part.type === 'spin' && !/^P/.test(part.name || '') && part.name !== 'Sp') return 'spin';
+  if (part.type === 'seq') return part.name === 'ChSq' ? 'chsq' : 'seq';
+  return null;
+}
+
+function clampGOE(v) {
+  return Math.max(-5, Math.min(5, v));
+}
+
+// 最終GOE。checks: { bullets: [項目の番号（0から）], errors: { key: 減点（負の値、幅の中から） } }
+// flags にジャンプのパーツ（のリスト）を渡すと、<, <<, q, e, ! の付いた要素は対応する減点項目を幅の軽い方で補う
+// 戻り値: { goe, positive, reduction, notes: [説明] }
+export function computeGOEFromGuide(kind, checks = {}, flags = []) {
+  const guide = GOE_GUIDES[kind];
+  if (!guide) throw new Error(`GOEのガイドがありません: ${kind}`);
+  const notes = [];
+  const bullets = [...new Set(checks.bullets || [])].filter(i => i >= 0 && i < guide.bullets.length);
+  let positive = BULLET_GOE[Math.min(bullets.length, BULLET_GOE.length - 1)];
+  const hasKeys = Array.from({ length: KEY_BULLETS }, (_, i) => i).every(i => bullets.includes(i));
+  if (positive > 3 && !hasKeys) {
+    notes.push(`+${positive} には最初の${KEY_BULLETS}項目がすべて必要なため +3 まで`);
+    positive = 3;
+  }
+  if (bullets.length) notes.push(`プラスの項目 ${bullets.length} → +${positive}`);
+
+  const errors = { ...checks.errors };
+  for (const e of guide.errors) {
+    if (!e.flag || errors[e.key]) continue;
+    if ([].concat(flags).some(p => p?.[e.flag])) {
+      errors[e.key] = e.range[0];
+      notes.push(`${e.label}: 要素の記号から ${e.range[0]}`);
+    }
+  }
+  let reduction = 0;
+  let max = 5;
+  let forced = null;
+  for (const e of guide.errors) {
+    const v = errors[e.key];
+    if (!v) continue;
+    const lo = Math.min(...e.range);
+    const hi = Math.max(...e.range);
+    const value = Math.max(lo, Math.min(hi, Number(v)));
+    reduction += value;
+    if (e.forced != null) forced = e.forced;
+    if (e.max != null && e.max < max) {
+      max = e.max;
+      notes.push(`${e.label}: 最終GOEは ${e.max > 0 ? '+' : ''}${e.max} 以下`);
+    }
+  }
+  if (reduction) notes.push(`減点 ${reduction}`);
+
+  let goe = clampGOE(positive + reduction);
+  if (goe > max) goe = max;
+  if (forced != null) {
+    goe = forced;
+    notes.push(`転倒があるため最終GOEは ${forced}`);
+  }
+  return { goe, positive, reduction, notes };
+}
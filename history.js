@@ -0,0 +1,75 @@
+// history.js - 要素一覧・PCS・減点の操作履歴（元に戻す / やり直し。DOM非依存）
+// 操作のたびにプログラムのスナップショット（競技区分・シーズン・ジャッジ数・要素・PCS・転倒・減点）を1件として積む。1件 = { label, snapshot }
+// 件数には上限があり、古いものから捨てる。toJSON の結果はライブラリにプログラムと一緒に保存でき、createHistory に渡すと復元できる
+
+export const HISTORY_LIMIT = 50;
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+// 履歴に残すプログラムの部分。プログラムの読み込みで競技区分・シーズン・ジャッジ数が変わっても戻せるように、それらも含める
+export function historySnapshot(program) {
+  return clone({
+    segment: program.segment || null,
+    season: program.season || null,
+    judgeCount: program.judgeCount || 0,
+    elements: program.elements || [],
+    pcs: program.pcs || {},
+    falls: program.falls || 0,
+    deductions: program.deductions || {},
+    deduct: program.deduct || 0
+  });
+}
+
+// saved: toJSON の結果（省略時は空の履歴）
+export function createHistory(saved = {}) {
+  const limit = Math.max(2, Number(saved.limit) || HISTORY_LIMIT);
+  const all = Array.isArray(saved.entries) ? clone(saved.entries) : [];
+  const entries = all.slice(-limit);
+  // 上限で捨てた分だけ位置をずらし、残った範囲に収める
+  const savedIndex = Number.isInteger(saved.index) ? saved.index - (all.length - entries.length) : entries.length - 1;
+  let index = Math.max(Math.min(savedIndex, entries.length - 1), entries.length ? 0 : -1);
+
+  return {
+    // 操作後のスナップショットを積む。直前と同じ内容なら積まない。戻り値: 積んだか
+    record(label, snapshot) {
+      const next = clone(snapshot);
+      if (index >= 0 && JSON.stringify(entries[index].snapshot) === JSON.stringify(next)) return false;
+      entries.splice(index + 1);
+      entries.push({ label, snapshot: next });
+      if (entries.length > limit) entries.splice(0, entries.length - limit);
+      index = entries.length - 1;
+      return true;
+    },
+    // 1つ前の状態に戻る。戻り値: { label: 取り消した操作, snapshot: 戻った状態 } または null
+    undo() {
+      if (index <= 0) return null;
+      const label = entries[index].label;
+      index--;
+      return { label, snapshot: clone(entries[index].snapshot) };
+    },
+    // 取り消した操作をやり直す。戻り値: { label, snapshot } または null
+    redo() {
+      if (index >= entries.length - 1) return null;
+      index++;
+      return { label: entries[index].label, snapshot: clone(entries[index].snapshot) };
+    },
+    canUndo() {
+      return index > 0;
+    },
+    canRedo() {
+      return index < entries.length - 1;
+    },
+    // 次に元に戻す / やり直す操作の名前（ボタンの説明用）
+    undoLabel() {
+      return index > 0 ? entries[index].label : null;
+    },
+    redoLabel() {
+      return index < entries.length - 1 ? entries[index + 1].label : null;
+    },
+    toJSON() {
+      return { limit, index, entries: clone(entries) };
+    }
+  };
+}
@@ -0,0 +1,145 @@
+// levels.js - スピン・ステップシークエンスのレベルの特徴のチェックリストからレベルを判定する（DOM非依存）
+// テクニカルハンドブック（シングル）の数え方: 数えられた特徴が1つでレベル1、2つでレベル2、3つでレベル3、4つ以上でレベル4
+// - 基本要件（最低回転数・パターンなど）を満たさなければ無価値（0）、特徴が1つも数えられなければベース（B）
+// - 同じ特徴は1つの要素で1回だけ数える（スピンの難しいバリエーションは種類ごとの上限まで）
+// - プログラム全体での制限（同じ難しいバリエーションはプログラムで1回など）はここでは見ない
+// 対象はシングルのスピン（USp / LSp / CSp / SSp / CoSp と F / C）と StSq。ペア・アイスダンスの要素は対象外
+
+const LEVELS = ['B', '1', '2', '3', '4'];
+
+const POSITION_NAMES = { USp: 'アップライト', LSp: 'レイバック', CSp: 'キャメル', SSp: 'シット', CoSp: 'コンビネーション' };
+
+// スピンのレベルの特徴
+// accepts(spin, checks) は数えられない理由（文字列）を返す。数えられるときは null
+// count: true の特徴は個数で入力し、max(spin) 個まで数える
+export const SPIN_FEATURES = [
+  {
+    key: 'dv',
+    label: '基本姿勢の難しいバリエーション',
+    count: true,
+    max: spin => (spin.name === 'CoSp' || spin.cof ? 2 : 1),
+    accepts: () => null
+  },
+  {
+    key: 'footJump',
+    label: '跳び上がっての足換え',
+    accepts: spin => (spin.cof ? null : '足換えの無いスピン（C無し）では数えません')
+  },
+  {
+    key: 'jump',
+    label: '足を換えないスピン中のジャンプ',
+    accepts: () => null
+  },
+  {
+    key: 'changePosition',
+    label: '同じ足での難しい姿勢の変更',
+    accepts: spin => (spin.name === 'CoSp' ? null : 'コンビネーションスピンのみで数えます')
+  },
+  {
+    key: 'entrance',
+    label: '難しい入り（フライングは難しい跳び方・着氷）',
+    accepts: () => null
+  },
+  // テクニカルハンドブック: シット（後ろ向きのインサイドからアウトサイドへのみ）・キャメル・レイバック・アップライトの難しいバリエーションでの明確なエッジの変更
+  {
+    key: 'edge',
+    label: '明確なエッジの変更（シット・キャメル・レイバック・アップライトの難しいバリエーション）',
+    accepts: (spin, checks) => (spin.name !== 'USp' || Number(checks.dv || 0) > 0
+      ? null
+      : 'アップライトでは難しいバリエーションでのエッジの変更のみ数えます（難しいバリエーションがありません）')
+  },
+  {
+    key: 'allPositions',
+    label: '足換え後に3つの基本姿勢すべて',
+    accepts: spin => (spin.name === 'CoSp' && spin.cof ? null : '足換えのあるコンビネーションスピン（CCoSp）のみで数えます')
+  },
+  {
+    key: 'directions',
+    label: '両方向の回転（シット・キャメルで続けて）',
+    accepts: spin => (['CSp', 'SSp', 'CoSp'].includes(spin.name) ? null : 'シットまたはキャメルの姿勢のスピンのみで数えます')
+  },
+  {
+    key: 'speed',
+    label: '明らかな加速（キャメル・シット・アップライト）',
+    accepts: spin => (spin.name === 'LSp' ? 'レイバックスピンでは数えません' : null)
+  },
+  {
+    key: 'revolutions',
+    label: '姿勢を保って8回転以上（キャメル・レイバック・難しいバリエーション）',
+    accepts: (spin, checks) => (['CSp', 'LSp'].includes(spin.name) || Number(checks.dv || 0) > 0
+      ? null
+      : `${POSITION_NAMES[spin.name]}では難しいバリエーションでの8回転のみ数えます（難しいバリエーションがありません）`)
+  }
+];
+
+// ステップシークエンスのレベルの特徴。turns（難しいターンとステップの数）は必須の特徴で、数によってレベルの上限が決まる
+export const STEP_TURNS_REQUIRED = [5, 7, 9, 11];
+
+export const STEP_FEATURES = [
+  { key: 'turns', label: '難しいターン・ステップの種類（5 / 7 / 9 / 11）', count: true },
+  { key: 'rotations', label: '両方向の回転（全身の回転がそれぞれパターンの1/3以上）' },
+  { key: 'body', label: '上半身の動き（パターンの1/3以上）' },
+  { key: 'clusters', label: '難しいターン3つの組み合わせを左右の足で1つずつ' }
+];
+
+// チェックリストの対象か（シングルのスピンと StSq）
+export function supportsLevelChecklist(part) {
+  if (!part) return false;
+  if (part.type === 'spin') return part.name in POSITION_NAMES;
+  if (part.type === 'seq') return part.name === 'StSq';
+  return false;
+}
+
+function levelFor(count) {
+  return LEVELS[Math.min(count, LEVELS.length - 1)];
+}
+
+// スピンのレベル。spin: { name, fly, cof }（パーツオブジェクトでもよい）、checks: { basic, dv: 個数, footJump: true, ... }
+// 戻り値: { lod, counted: [{ key, label }], rejected: [{ key, label, reason }] }
+export function evaluateSpinLevel(spin, checks = {}) {
+  const counted = [];
+  const rejected = [];
+  for (const feature of SPIN_FEATURES) {
+    const n = feature.count ? Math.max(0, Number(checks[feature.key] || 0)) : (checks[feature.key] ? 1 : 0);
+    if (!n) continue;
+    const reason = feature.accepts(spin, checks);
+    if (reason) {
+      rejected.push({ key: feature.key, label: feature.label, reason });
+      continue;
+    }
+    const max = feature.count ? feature.max(spin) : 1;
+    for (let i = 0; i < Math.min(n, max); i++) counted.push({ key: feature.key, label: feature.label });
+    if (n > max) rejected.push({ key: feature.key, label: feature.label, reason: `このスピンで数えるのは${max}個までです（${n - max}個は数えません）` });
+  }
+  if (checks.basic === false) {
+    return { lod: '0', counted: [], rejected: [...counted.map(f => ({ ...f, reason: '基本要件を満たしていないため無価値です' })), ...rejected] };
+  }
+  counted.slice(4).forEach(f => rejected.push({ ...f, reason: 'レベル4に必要な4つを超えた特徴は数えません' }));
+  return { lod: levelFor(counted.length), counted: counted.slice(0, 4), rejected };
+}
+
+// ステップシークエンスのレベル。checks: { basic, turns: 個数, rotations: true, body: true, clusters: true }
+// 難しいターン・ステップの数はレベル1〜4でそれぞれ 5 / 7 / 9 / 11 個が必要で、他の特徴が多くてもその数の段階を超えない
+export function evaluateStepLevel(checks = {}) {
+  const counted = [];
+  const rejected = [];
+  const turns = Math.max(0, Number(checks.turns || 0));
+  const turnsLevel = STEP_TURNS_REQUIRED.filter(n => turns >= n).length;
+  const [turnsFeature, ...others] = STEP_FEATURES;
+  if (turnsLevel > 0) counted.push({ key: turnsFeature.key, label: turnsFeature.label });
+  else if (turns > 0) rejected.push({ key: turnsFeature.key, label: turnsFeature.label, reason: `${turns}個では足りません（${STEP_TURNS_REQUIRED[0]}個以上）` });
+  others.filter(f => checks[f.key]).forEach(f => counted.push({ key: f.key, label: f.label }));
+
+  if (checks.basic === false) {
+    return { lod: '0', counted: [], rejected: [...counted.map(f => ({ ...f, reason: '基本要件を満たしていないため無価値です' })), ...rejected] };
+  }
+  let level = Math.min(counted.length, 4);
+  if (level > turnsLevel) {
+    const next = STEP_TURNS_REQUIRED[turnsLevel];
+    const reason = `難しいターン・ステップが${turns}個のため${turnsLevel ? `レベル${turnsLevel}` : 'ベース'}まで（レベル${turnsLevel + 1}には${next}個必要）`;
+    counted.slice(turnsLevel).forEach(f => rejected.push({ ...f, reason }));
+    counted.splice(turnsLevel);
+    level = turnsLevel;
+  }
+  return { lod: levelFor(level), counted, rejected };
+}
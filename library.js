@@ -0,0 +1,87 @@
+// library.js - 保存したプログラムのライブラリ（ブラウザの localStorage に保存）
+// 1件 = { id, name, skater, segment, season, notes, createdAt, updatedAt, program }
+// program は画面の状態（要素のパーツ配列、PCS、転倒・減点、ジャッジ数、操作の履歴）をそのまま保持する
+// （画面からの保存で容量が足りないときは、操作の履歴を外して保存し直す）
+
+const STORAGE_KEY = 'figure-skating-score.library.v1';
+
+function storage() {
+  return globalThis.localStorage;
+}
+
+function readAll() {
+  try {
+    const list = JSON.parse(storage().getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// 書き込めないとき（保存容量の超過、ストレージが使えないなど）は例外。保存済みの内容は変わらない
+function writeAll(list) {
+  try {
+    storage().setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    const quota = err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err?.code === 22;
+    throw new Error(quota
+      ? 'ライブラリを保存できませんでした（ブラウザの保存容量がいっぱいです。不要なデータを削除してください）'
+      : `ライブラリを保存できませんでした: ${err?.message ?? err}`);
+  }
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+// 更新日時の新しい順
+export function listPrograms() {
+  return readAll().sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function getProgram(id) {
+  const entry = readAll().find(e => e.id === id);
+  return entry ? clone(entry) : null;
+}
+
+// id があれば上書き、無ければ新規に追加して保存した1件を返す
+export function saveProgram(entry) {
+  const list = readAll();
+  const now = new Date().toISOString();
+  const i = entry.id ? list.findIndex(e => e.id === entry.id) : -1;
+  const saved = {
+    id: i >= 0 ? entry.id : newId(),
+    name: String(entry.name || '').trim() || '無題のプログラム',
+    skater: String(entry.skater || '').trim(),
+    segment: entry.segment || entry.program?.segment || null,
+    season: String(entry.season || '').trim(),
+    notes: String(entry.notes || ''),
+    createdAt: i >= 0 ? list[i].createdAt : now,
+    updatedAt: now,
+    program: clone(entry.program || {})
+  };
+  if (i >= 0) list[i] = saved;
+  else list.push(saved);
+  writeAll(list);
+  return clone(saved);
+}
+
+export function duplicateProgram(id) {
+  const entry = getProgram(id);
+  if (!entry) throw new Error(`プログラムが見つかりません: ${id}`);
+  return saveProgram({ ...entry, id: null, name: `${entry.name} のコピー` });
+}
+
+export function renameProgram(id, name) {
+  const entry = getProgram(id);
+  if (!entry) throw new Error(`プログラムが見つかりません: ${id}`);
+  return saveProgram({ ...entry, name });
+}
+
+export function deleteProgram(id) {
+  writeAll(readAll().filter(e => e.id !== id));
+}
@@ -0,0 +1,174 @@
+// notation.js - プロトコル表記と要素パーツの相互変換（DOM非依存）
+// 例: 4Lz!q+3T<  /  3F*+REP  /  3Lz+3T  x  /  3T+2A+SEQ  /  FCCoSp4V  /  StSq3*  /  3LzTh<  /  5ALi4
+//     アイスダンス: SyTwW4+SyTwM3  /  StaLi4+RoLi4  /  1MB3+kpYYNY  /  ChLi1
+// 書式化は engine.js の getPartDisplay / getElementDisplayText を使い、解析結果はそれと完全に往復する
+
+import { newPart, getPartDisplay, getElementDisplayText } from './engine.js';
+
+// ジャンプ: 回転数+種類+エッジ(e/!)+回転不足(<</</q)+b+無効(*)
+const JUMP_RE = /^([0-5])?(T|S|Lo|F|Lz|A|Eu)(e|!)?(<<|<|q)?(b)?(\*)?$/;
+// スロージャンプ: 回転数+種類+Th+回転不足(<</</q)+無効(*)
+const THROW_RE = /^([1-4])?(T|S|Lo|F|Lz|A)Th(<<|<|q)?(\*)?$/;
+// スピン: F(フライング)+C(足換え)+種類+レベル+V+無効(*)。PSp / PCoSp はペアスピン
+const SPIN_RE = /^(F)?(C)?(USp|LSp|CSp|SSp|CoSp|PSp|PCoSp)([B1-4])?(V)?(\*)?$/;
+// アイスダンスのスピン（Sp。CoSp は SPIN_RE で読む）: FCSp（フライング・キャメル）と紛れないよう別に読む
+const DANCE_SPIN_RE = /^(Sp)([B1-4])?(\*)?$/;
+// シークエンス: 種類+レベル+無効(*)
+const SEQ_RE = /^(StSq|ChSq)([B1-4])?(\*)?$/;
+// ペアの要素: ツイストリフト(回転数+Tw)・リフト(グループ+Li、5群は種類付き)・デススパイラル・ピボットフィギュア+レベル+無効(*)
+const PAIR_RE = /^([1-4]Tw|[1-4]Li|5[TSRBA]Li|(?:Fi|Bi|Fo|Bo)Ds|PiF)([B1-4])?(\*)?$/;
+// アイスダンスの要素: 種類+パートナー(W/M)+レベル+無効(*)
+// リフト(StaLi等)・ツイズル(SyTw)・ステップ(MiSt等、OFT)・コレオ(ChLi等)・パターンダンス要素(セクション番号+ダンス略号 例: 1MB)
+const DANCE_RE = /^(StaLi|StLi|CuLi|RoLi|SeLi|ReLi|SyTw|MiSt|DiSt|CiSt|SeSt|OFT|ChSt|ChTw|ChSl|ChLi|ChSp|ChRS|[1-4][A-Z]{2})([WM])?([B1-4])?(\*)?$/;
+// パターンダンス要素のキーポイント（要素の後に「+kp」で続ける）
+const KEY_POINTS_RE = /^kp([YN]+)$/;
+
+// 1パーツ分の表記をパーツに変換（+REP・xは含まない）
+export function parsePart(text) {
+  const p = newPart();
+  let m = JUMP_RE.exec(text);
+  if (m) {
+    p.type = 'jump';
+    p.lod = m[1] || '0';
+    p.name = m[2];
+    p.edge = m[3] === 'e';
+    p.attention = m[3] === '!';
+    p.dg = m[4] === '<<';
+    p.ur = m[4] === '<';
+    p.q = m[4] === 'q';
+    p.b = !!m[5];
+    p.invalid = !!m[6];
+    return p;
+  }
+  m = THROW_RE.exec(text);
+  if (m) {
+    p.type = 'throw';
+    p.lod = m[1] || '0';
+    p.name = m[2];
+    p.dg = m[3] === '<<';
+    p.ur = m[3] === '<';
+    p.q = m[3] === 'q';
+    p.invalid = !!m[4];
+    return p;
+  }
+  m = SPIN_RE.exec(text);
+  if (m) {
+    p.type = 'spin';
+    p.fly = !!m[1];
+    p.cof = !!m[2];
+    p.name = m[3];
+    p.lod = m[4] || '0';
+    p.spinV = !!m[5];
+    p.invalid = !!m[6];
+    return p;
+  }
+  m = DANCE_SPIN_RE.exec(text);
+  if (m) {
+    p.type = 'spin';
+    p.name = m[1];
+    p.lod = m[2] || '0';
+    p.invalid = !!m[3];
+    return p;
+  }
+  m = SEQ_RE.exec(text);
+  if (m) {
+    p.type = 'seq';
+    p.name = m[1];
+    p.lod = m[2] || '0';
+    p.invalid = !!m[3];
+    return p;
+  }
+  m = PAIR_RE.exec(text);
+  if (m) {
+    p.type = 'pair';
+    p.name = m[1];
+    p.lod = m[2] || '0';
+    p.invalid = !!m[3];
+    return p;
+  }
+  m = DANCE_RE.exec(text);
+  if (m) {
+    p.type = 'dance';
+    p.name = m[1];
+    p.partner = m[2] || '';
+    p.lod = m[3] || '0';
+    p.invalid = !!m[4];
+    return p;
+  }
+  throw new Error(`要素コードを解釈できません: ${text}`);
+}
+
+// 1要素分の表記をパーツ配列に変換（ボーナスxは parts[0].bonus）
+export function parseElement(text) {
+  let src = String(text ?? '').trim();
+  const bonus = /\s*x$/.test(src);
+  if (bonus) src = src.replace(/\s*x$/, '');
+  src = src.replace(/\s+/g, '');
+  if (!src) throw new Error('要素が入力されていません');
+
+  // ジャンプシークエンス: 末尾の「+SEQ」
+  const seq = /\+SEQ$/.test(src);
+  if (seq) src = src.slice(0, -'+SEQ'.length);
+
+  const parts = [];
+  for (const token of src.split('+')) {
+    if (token === 'REP') {
+      const prev = parts[parts.length - 1];
+      if (!prev || prev.type !== 'jump' || prev.rep) throw new Error('+REPはジャンプの後にのみ付けられます');
+      prev.rep = true;
+      continue;
+    }
+    const kp = KEY_POINTS_RE.exec(token);
+    if (kp) {
+      const prev = parts[parts.length - 1];
+      if (!prev || prev.type !== 'dance' || !/^\d/.test(prev.name) || prev.kp) throw new Error('+kpはパターンダンス要素の後にのみ付けられます');
+      prev.kp = kp[1];
+      continue;
+    }
+    if (!token) throw new Error(`「+」の前後に要素がありません: ${text}`);
+    parts.push(parsePart(token));
+  }
+  // 「+」でつなげられるのはジャンプ、アイスダンスのコンビネーションリフト、パートナー別レベルの要素（同じ種類のW+M）
+  if (parts.length > 1 && !parts.every(p => p.type === 'jump') && !isDanceCombination(parts)) {
+    throw new Error('「+」でつなげられるのはジャンプ、アイスダンスのリフト、パートナー別の要素（W+M）のみです');
+  }
+  if (seq && parts.length < 2) throw new Error('+SEQは2つ以上のジャンプに付けます');
+  parts[0].bonus = bonus;
+  parts[0].seq = seq;
+  return parts;
+}
+
+function isDanceCombination(parts) {
+  if (!parts.every(p => p.type === 'dance')) return false;
+  if (parts.every(p => !p.partner && /^(Sta|St|Cu|Ro|Se|Re)Li$/.test(p.name))) return true;
+  return parts.length === 2 && parts[0].name === parts[1].name && parts[0].partner === 'W' && parts[1].partner === 'M';
+}
+
+// パーツ配列をプロトコル表記に変換（parseElement の逆）
+export function formatElement(parts) {
+  return getElementDisplayText(parts);
+}
+
+export function formatPart(p) {
+  return getPartDisplay(p);
+}
+
+// 入力途中の表記に対する補完候補（最後の「+」以降をSOVの要素コードで補完）
+// コンビネーションの2つ目以降はジャンプとアイスダンスの要素のみ。解釈できないコードは候補に含めない
+export function suggestElements(text, codes, limit = 30) {
+  const src = String(text ?? '').replace(/\s+/g, '');
+  const cut = src.lastIndexOf('+');
+  const head = cut >= 0 ? src.slice(0, cut + 1) : '';
+  const tail = cut >= 0 ? src.slice(cut + 1) : src;
+  const out = [];
+  for (const code of codes) {
+    if (out.length >= limit) break;
+    if (!code.startsWith(tail)) continue;
+    let p;
+    try { p = parsePart(code); }
+    catch { continue; }
+    if (head && p.type !== 'jump' && p.type !== 'dance') continue;
+    out.push(head + code);
+  }
+  return out;
+}
@@ -0,0 +1,211 @@
+// protocol.js - ISU「Judges Details per Skater」プロトコル（PDFからコピーしたテキスト）の取り込み（DOM非依存）
+// 要素・ジャッジ別GOE・PCS（ジャッジ別の点と係数）・減点（内訳とInfo欄の転倒F）を computeProgram の入力に変換し、
+// プロトコルに記載された公表値（要素ごとの基礎点・GOE・得点、TES/PCS/TSS）と比較できるようにする
+
+import { parseElement } from './notation.js';
+import { round2 } from './engine.js';
+import { DEDUCTION_TYPES } from './segments.js';
+
+const DECIMAL_RE = /^-?\d+\.\d+$/;
+const MARK_RE = /^-?\d$/;
+
+// 滑走者の行: 順位 名前 国 滑走順 TSS TES PCS 減点
+const SKATER_RE = /^(\d+)\s+(.+?)\s+([A-Z]{3})\s+(\d+)\s+(-?\d+\.\d\d)\s+(-?\d+\.\d\d)\s+(-?\d+\.\d\d)\s+(-?\d+\.\d\d)\s*$/;
+// 要素の行: 番号 要素コード 残り（Info、基礎点、x、GOE、ジャッジ、得点）
+const ELEMENT_RE = /^(\d+)\s+(\S+)\s+(.*)$/;
+
+const COMPONENTS = [
+  { key: 'co', re: /^Composition\b/i },
+  { key: 'pr', re: /^Presentation\b/i },
+  { key: 'ss', re: /^Skating\s+Skills\b/i }
+];
+
+// 見出しから競技区分のIDを推定（判別できなければnull）
+export function detectSegmentId(text) {
+  const t = String(text).toUpperCase();
+  const dance = /ICE\s+DANCE|RHYTHM\s+DANCE|FREE\s+DANCE/.test(t);
+  const segment = dance
+    ? (/RHYTHM/.test(t) ? 'rd' : /FREE\s+DANCE/.test(t) ? 'fd' : null)
+    : (/SHORT/.test(t) ? 'sp' : /FREE/.test(t) ? 'fs' : null);
+  const discipline = dance ? 'dance' : /PAIRS/.test(t) ? 'pairs' : /WOMEN|LADIES/.test(t) ? 'women' : /\bMEN\b/.test(t) ? 'men' : null;
+  if (!segment || !discipline) return null;
+  const level = /JUNIOR/.test(t) ? 'junior' : 'senior';
+  return `${level}-${discipline}-${segment}`;
+}
+
+// 基礎点以降の列を読む: [Info...] 基礎点 [x] GOE J1..Jn [Ref] 得点
+function parseElementColumns(tokens) {
+  const bvAt = tokens.findIndex(t => DECIMAL_RE.test(t));
+  if (bvAt < 0) return null;
+  const info = tokens.slice(0, bvAt);
+  let k = bvAt + 1;
+  const bonus = tokens[k] === 'x';
+  if (bonus) k++;
+  const rest = tokens.slice(k);
+  if (rest.length < 2 || !DECIMAL_RE.test(rest[0]) || !DECIMAL_RE.test(rest[rest.length - 1])) return null;
+  const judges = rest.slice(1, -1)
+    .filter(t => MARK_RE.test(t) || t === '-')
+    .map(t => (t === '-' ? null : parseInt(t, 10)));
+  return {
+    info,
+    bv: Number(tokens[bvAt]),
+    bonus,
+    goe: Number(rest[0]),
+    judges,
+    score: Number(rest[rest.length - 1])
+  };
+}
+
+// 減点の項目名（プロトコルの表記）→ DEDUCTION_TYPES の key
+const DEDUCTION_LABELS = [
+  { key: 'interruption', re: /Interruption/i },
+  { key: 'time', re: /Time/i },
+  { key: 'costume', re: /Costume|Prop/i },
+  { key: 'illegal', re: /Illegal/i },
+  { key: 'music', re: /Music/i }
+];
+
+// 減点の行: "Deductions: Falls: -2.00 (2) Time violation: -1.00 -3.00"
+// items: 内訳の件数（件数の記載が無ければ点から換算）。読めなかった項目の点は other に入る
+function parseDeductions(line) {
+  const decimals = line.match(/-?\d+\.\d\d/g) || [];
+  const total = decimals.length ? Number(decimals[decimals.length - 1]) : 0;
+  const falls = /Falls?:?\s*(-?\d+\.\d\d)\s*\((\d+)\)/i.exec(line);
+  const items = {};
+  let other = 0;
+  const itemRE = /([A-Za-z][A-Za-z &/-]*?):\s*(-?\d+\.\d\d)(?:\s*\((\d+)\))?/g;
+  for (const m of line.replace(/^Deductions:?/i, '').matchAll(itemRE)) {
+    if (/^Falls?$/i.test(m[1].trim())) continue;
+    const value = Math.abs(Number(m[2]));
+    const label = DEDUCTION_LABELS.find(l => l.re.test(m[1]));
+    const type = label && DEDUCTION_TYPES.find(t => t.key === label.key);
+    if (type) items[type.key] = (items[type.key] || 0) + (m[3] ? parseInt(m[3], 10) : Math.round(value / type.amount));
+    else other -= value;
+  }
+  return {
+    total,
+    falls: falls ? parseInt(falls[2], 10) : 0,
+    fallDeduct: falls ? -Math.abs(Number(falls[1])) : 0,
+    items,
+    other: round2(other)
+  };
+}
+
+// 1人分のプロトコルテキストを読む
+// 戻り値: { skater, program: { segment, elements, pcs, falls, deductions, deduct }, published, warnings }
+// program.segment は見出しから判別できた場合のみ設定される（判別できなければ null）
+export function parseJudgesDetails(text) {
+  const lines = String(text ?? '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const warnings = [];
+  const elements = [];
+  const published = { elements: [], tes: null, pcs: null, deduct: null, tss: null };
+  const pcs = { co: [], pr: [], ss: [], factors: {} };
+  let skater = null;
+  let falls = 0;
+  let fallDeduct = 0;
+  let deductions = {};
+  let otherDeduct = 0;
+  let section = 'head';
+
+  for (const line of lines) {
+    if (section === 'head' || section === 'elements') {
+      const m = SKATER_RE.exec(line);
+      if (m && !skater) {
+        skater = { rank: parseInt(m[1], 10), name: m[2], nation: m[3], startNumber: parseInt(m[4], 10) };
+        published.tss = Number(m[5]);
+        published.tes = Number(m[6]);
+        published.pcs = Number(m[7]);
+        published.deduct = -Math.abs(Number(m[8]));
+        continue;
+      }
+    }
+    if (/Executed/i.test(line) && /Elements/i.test(line)) { section = 'elements'; continue; }
+    if (/^Program\s+Components/i.test(line)) { section = 'pcs'; continue; }
+    if (/^Deductions/i.test(line)) {
+      const d = parseDeductions(line);
+      falls = d.falls;
+      fallDeduct = d.fallDeduct;
+      deductions = d.items;
+      otherDeduct = d.other;
+      if (published.deduct == null) published.deduct = d.total;
+      section = 'tail';
+      continue;
+    }
+
+    if (section === 'elements') {
+      const m = ELEMENT_RE.exec(line);
+      if (!m) continue;
+      const cols = parseElementColumns(m[3].split(/\s+/));
+      if (!cols) continue;
+      // +COMBO（ジャンプが1つのみのコンビネーション）は表記から外して読む
+      const code = m[2].replace(/\+COMBO$/i, '');
+      let parts;
+      try {
+        parts = parseElement(code);
+      } catch (err) {
+        warnings.push(`#${m[1]} ${m[2]}: ${err.message}`);
+        continue;
+      }
+      parts[0].bonus = cols.bonus;
+      parts[0].judges = cols.judges;
+      if (cols.info.includes('F')) parts[0].fall = 1;
+      elements.push(parts);
+      published.elements.push({ number: parseInt(m[1], 10), display: m[2], info: cols.info, bv: cols.bv, goe: cols.goe, score: cols.score });
+    } else if (section === 'pcs') {
+      const c = COMPONENTS.find(c => c.re.test(line));
+      if (!c) {
+        if (/^[A-Za-z][A-Za-z ]*\s+\d+\.\d+/.test(line) && !/Total/i.test(line)) warnings.push(`未対応の構成要素: ${line.split(/\s+\d/)[0]}`);
+        continue;
+      }
+      const nums = line.split(/\s+/).filter(t => DECIMAL_RE.test(t) || t === '-');
+      if (nums.length < 3) continue;
+      pcs.factors[c.key] = Number(nums[0]);
+      pcs[c.key] = nums.slice(1, -1).map(t => (t === '-' ? null : Number(t)));
+    }
+  }
+
+  if (elements.length === 0) warnings.push('要素の行が見つかりません');
+  if (published.tss == null) warnings.push('滑走者の合計点の行が見つかりません');
+
+  // Info欄のFで数えた転倒は要素の転倒マーカーにし、残り（要素外の転倒）を falls とする
+  // 内訳で説明できない減点（合計との差）は deduct に入れる
+  const elementFalls = elements.reduce((sum, parts) => sum + (parts[0].fall || 0), 0);
+  const itemized = DEDUCTION_TYPES.reduce((sum, t) => sum - (deductions[t.key] || 0) * t.amount, 0);
+  const deductTotal = published.deduct ?? round2(fallDeduct + itemized + otherDeduct);
+  return {
+    skater,
+    program: {
+      segment: detectSegmentId(lines.slice(0, 10).join(' ')),
+      elements,
+      pcs,
+      falls: Math.max(0, falls - elementFalls),
+      deductions,
+      deduct: round2(deductTotal - fallDeduct - itemized)
+    },
+    published,
+    warnings
+  };
+}
+
+function diff(computed, published) {
+  return { computed, published, ok: published == null || Math.round(computed * 100) === Math.round(published * 100) };
+}
+
+// computeProgram の結果と公表値の比較（要素ごとに基礎点・GOE・得点、全体でTES/PCS/減点/TSS）
+export function compareWithPublished(result, published) {
+  const elements = result.elements.map((r, i) => {
+    const p = published.elements[i] || {};
+    const bv = diff(r.totalBV, p.bv);
+    const goe = diff(r.goeValue, p.goe);
+    const score = diff(r.totalScore, p.score);
+    return { bv, goe, score, ok: bv.ok && goe.ok && score.ok };
+  });
+  const totals = {
+    tes: diff(result.tes, published.tes),
+    pcs: diff(result.pcs, published.pcs),
+    deduct: diff(result.deduct, published.deduct),
+    tss: diff(result.tss, published.tss)
+  };
+  const ok = elements.every(e => e.ok) && Object.values(totals).every(t => t.ok) && result.elements.length === published.elements.length;
+  return { elements, totals, ok };
+}
@@ -0,0 +1,211 @@
+// rules.js - ウェルバランスプログラムの検証（DOM非依存）
+// セグメントのプリセットに従い、規定外の要素に「*」（無効・得点なし）や警告を付ける
+
+import { isRenderablePart } from './engine.js';
+
+const LIMIT_MESSAGES = {
+  jump: 'ジャンプ要素数の超過',
+  spin: 'スピン数の超過',
+  stsq: 'ステップシークエンス数の超過',
+  chsq: 'コレオシークエンス数の超過',
+  twist: 'ツイストリフト数の超過',
+  throw: 'スロージャンプ数の超過',
+  lift: 'リフト数の超過',
+  ds: 'デススパイラル数の超過',
+  pif: 'ピボットフィギュア数の超過',
+  twizzle: 'ツイズル数の超過',
+  choreo: 'コレオグラフィック要素数の超過',
+  pattern: 'パターンダンス要素数の超過'
+};
+
+// 要素の区分（jump / spin / stsq / chsq / throw / twist / lift / ds / pif / twizzle / choreo / pattern）
+// アイスダンスのリフトは lift、ステップシークエンス（OFTを含む）は stsq、スピンは spin として数える
+export function getElementKind(parts) {
+  const head = parts.find(isRenderablePart);
+  if (!head) return null;
+  if (head.type === 'jump') return 'jump';
+  if (head.type === 'spin') return 'spin';
+  if (head.type === 'throw') return 'throw';
+  if (head.name === 'StSq') return 'stsq';
+  if (head.name === 'ChSq') return 'chsq';
+  if (head.type === 'pair') {
+    if (head.name.endsWith('Tw')) return 'twist';
+    if (head.name.endsWith('Li')) return 'lift';
+    if (head.name.endsWith('Ds')) return 'ds';
+    if (head.name === 'PiF') return 'pif';
+  }
+  if (head.type === 'dance') {
+    if (/^\d/.test(head.name)) return 'pattern';
+    if (head.name.startsWith('Ch')) return 'choreo';
+    if (head.name.endsWith('Li')) return 'lift';
+    if (head.name === 'SyTw') return 'twizzle';
+    return 'stsq';
+  }
+  return null;
+}
+
+// スピンの種類（足換えCは同じ種類として扱う） 例: FCSp / CSp / CoSp / FCoSp
+function getSpinType(p) {
+  return `${p.fly ? 'F' : ''}${p.name}`;
+}
+
+function jumpParts(parts) {
+  return parts.map((p, j) => [p, j]).filter(([p]) => isRenderablePart(p));
+}
+
+// ザヤックルール（repeats が設定されたセグメントのみ）
+// - 同じ3・4回転ジャンプを2回跳べるのは limits.types 種類まで
+// - 同じジャンプは limits.times 回まで（2Aを含む2回転も同様）。超過分は「*」
+// - 繰り返しが2回とも単独ジャンプなら、2回目は「+REP」
+function checkRepetitions(elements, rows, limits) {
+  const seen = new Map();
+  const repeatedTypes = new Set();
+  elements.forEach((parts, i) => {
+    const row = rows[i];
+    if (row.invalid || getElementKind(parts) !== 'jump') return;
+    const jumps = jumpParts(parts);
+    const inCombo = jumps.length > 1;
+    jumps.forEach(([p, j]) => {
+      const lod = parseInt(p.lod, 10);
+      if (p.invalid || row.invalidParts.includes(j) || !(lod >= 2)) return;
+      const key = `${lod}${p.name}`;
+      const list = seen.get(key) || [];
+      seen.set(key, list);
+      if (list.length >= limits.times) {
+        row.invalidParts.push(j);
+        row.messages.push(`${key}の${list.length + 1}回目（繰り返しの超過）`);
+        return;
+      }
+      if (list.length > 0 && lod >= 3 && !repeatedTypes.has(key)) {
+        if (repeatedTypes.size >= limits.types) {
+          row.invalidParts.push(j);
+          row.messages.push(`繰り返せる3・4回転ジャンプは${limits.types}種類まで`);
+          return;
+        }
+        repeatedTypes.add(key);
+      }
+      if (list.length > 0 && !inCombo && list.every(o => !o.inCombo)) {
+        row.repParts.push(j);
+        row.messages.push(`${key}の繰り返し（+REP）`);
+      }
+      list.push({ i, j, inCombo });
+    });
+  });
+}
+
+// ボーナス(x): プログラム最後の count 個のジャンプ要素（無効な要素は数えない）
+function markBonus(elements, rows, count) {
+  let left = count;
+  for (let i = elements.length - 1; i >= 0 && left > 0; i--) {
+    if (rows[i].invalid || getElementKind(elements[i]) !== 'jump') continue;
+    rows[i].bonus = true;
+    left--;
+  }
+}
+
+// 各行の検証結果: { invalid, invalidParts: [パーツindex], repParts: [パーツindex], bonus, messages }
+// プログラム全体の警告（要素の不足など）は messages に入る
+export function validateProgram(elements, segment) {
+  const rows = elements.map(() => ({ invalid: false, invalidParts: [], repParts: [], bonus: false, messages: [] }));
+  const counts = Object.fromEntries(Object.keys(LIMIT_MESSAGES).map(kind => [kind, 0]));
+  const spinTypes = new Set();
+  let combos = 0;
+  let threeJumpCombos = 0;
+
+  const flagRow = (i, msg) => {
+    rows[i].invalid = true;
+    rows[i].messages.push(msg);
+  };
+  const flagPart = (i, j, msg) => {
+    if (!rows[i].invalidParts.includes(j)) rows[i].invalidParts.push(j);
+    rows[i].messages.push(msg);
+  };
+
+  elements.forEach((parts, i) => {
+    const kind = getElementKind(parts);
+    if (!kind) return;
+    const dance = segment.discipline === 'dance';
+    if (kind !== 'spin' && (parts[0].type === 'dance') !== dance) {
+      flagRow(i, dance ? 'アイスダンスでは使えない要素' : 'アイスダンスの要素はアイスダンスのみ');
+      return;
+    }
+    counts[kind]++;
+    if (counts[kind] > (segment.maxElements[kind] ?? 0)) {
+      flagRow(i, LIMIT_MESSAGES[kind]);
+      return;
+    }
+
+    if (kind === 'jump') {
+      const jumps = jumpParts(parts);
+      jumps.forEach(([p, j], k) => {
+        if (p.name === 'Eu' && (k === 0 || k === jumps.length - 1)) {
+          flagPart(i, j, 'Euはコンビネーションのジャンプ間でのみ有効');
+        }
+      });
+      if (jumps.length > 1) {
+        combos++;
+        if (combos > segment.combos.max) {
+          flagRow(i, 'コンビネーション数の超過');
+          return;
+        }
+        if (jumps.length > segment.combos.jumps) {
+          jumps.slice(segment.combos.jumps).forEach(([, j]) => flagPart(i, j, `コンビネーションは${segment.combos.jumps}ジャンプまで`));
+        }
+        if (Math.min(jumps.length, segment.combos.jumps) === 3) {
+          threeJumpCombos++;
+          if (threeJumpCombos > segment.combos.threeJump) flagRow(i, '3連続ジャンプの超過');
+        }
+      }
+    } else if (kind === 'spin') {
+      if (segment.discipline !== 'pairs' && /^P/.test(parts[0].name)) {
+        flagRow(i, 'ペアスピンはペアのみ');
+        return;
+      }
+      const danceSpin = /^(Sp|CoSp)$/.test(parts[0].name) && !parts[0].fly && !parts[0].cof && !parts[0].spinV;
+      if (dance && !danceSpin) {
+        flagRow(i, 'アイスダンスのスピンはSp / CoSpのみ');
+        return;
+      }
+      if (!dance && parts[0].name === 'Sp') {
+        flagRow(i, 'Spはアイスダンスのみ');
+        return;
+      }
+      const type = getSpinType(parts[0]);
+      if (spinTypes.has(type)) flagRow(i, '同じ種類のスピンの繰り返し');
+      spinTypes.add(type);
+    }
+  });
+
+  if (segment.repeats) checkRepetitions(elements, rows, segment.repeats);
+
+  // すべてのジャンプが無効なら要素全体を無効とする
+  elements.forEach((parts, i) => {
+    if (getElementKind(parts) === 'jump' && rows[i].invalidParts.length >= jumpParts(parts).length) rows[i].invalid = true;
+  });
+
+  markBonus(elements, rows, segment.bonusJumps);
+
+  const messages = [];
+  if (segment.maxElements.stsq > 0 && counts.stsq === 0) messages.push(segment.discipline === 'dance' ? 'ステップシークエンスがありません' : 'ステップシークエンス(StSq)がありません');
+  if (segment.maxElements.pattern > 0 && counts.pattern === 0) messages.push('パターンダンス要素がありません');
+  if (segment.maxElements.chsq > 0 && counts.chsq === 0) messages.push('コレオシークエンス(ChSq)がありません');
+  return { rows, messages };
+}
+
+// 検証結果の「*」「+REP」「x」をパーツに反映した要素配列を返す（元の配列は変更しない）
+// 手動の+REPと、ジャンプ要素に手動で付けたボーナス（後半実施）はそのまま残る
+export function applyValidation(elements, validation) {
+  return elements.map((parts, i) => {
+    const row = validation.rows[i];
+    if (!row) return parts;
+    const isJump = getElementKind(parts) === 'jump';
+    return parts.map((p, j) => {
+      if (!isRenderablePart(p)) return p;
+      const out = { ...p };
+      if (j === 0) out.bonus = isJump && !row.invalid && (row.bonus || !!p.bonus);
+      if (row.invalid || row.invalidParts.includes(j)) out.invalid = true;
+      else if (row.repParts.includes(j)) out.rep = true;
+      return out;
+    });
+  });
+}
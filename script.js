@@ -1,5 +1,7 @@
 // ES Modules インポート
-import { initSOV, getBase, getScore, getAvailableRotationsFor } from './basevalues.js';
+import { initSOV, getAvailableRotationsFor } from './basevalues.js';
+import { computeProgram, PCS_COMPONENTS } from './engine.js';
+import { DEFAULT_SEGMENT_ID, getSegment } from './segments.js';
 
 var buffer = [{
   type: null,
@@ -24,10 +26,10 @@ var buffer = [{
 }];
 
 var elementDisplay;
-var numElementsInTable = 0;
 var tes = 0.0;
-var pcs = [0.0, 0.0, 0.0, 0.0, 0.0];
-var pcsFactor = 1.67;
+var pcs = { co: 0.0, pr: 0.0, ss: 0.0 };
+var segment = getSegment(DEFAULT_SEGMENT_ID);
+var pcsFactors = Object.assign({}, segment.pcsFactors);
 var pcsTotal = 0.0;
 var tss = 0.0;
 var deduct = 0.0;
@@ -76,16 +78,10 @@ function initApp(){
   $(".addJump").prop("disabled", true);
   $(".setEdge").prop("disabled", true);
   $(".setSpinV").prop("disabled", true);
-  $("#pcs-ss-box").on("change keyup paste click", updateSS)
-  $("#pcs-ss-slider").on("change input click", updateSS)
-  $("#pcs-tr-box").on("change keyup paste click", updateTR)
-  $("#pcs-tr-slider").on("change input click", updateTR)
-  $("#pcs-pr-box").on("change keyup paste click", updatePR)
-  $("#pcs-pr-slider").on("change input click", updatePR)
-  $("#pcs-co-box").on("change keyup paste click", updateCO)
-  $("#pcs-co-slider").on("change input click", updateCO)
-  $("#pcs-in-box").on("change keyup paste click", updateIN)
-  $("#pcs-in-slider").on("change input click", updateIN)
+  PCS_COMPONENTS.forEach(function(key){
+    $("#pcs-" + key + "-box").on("change keyup paste click", function(){ updateComponent(key, this.value); });
+    $("#pcs-" + key + "-slider").on("change input click", function(){ updateComponent(key, this.value); });
+  });
   $("#pcs-factor-box").on("change keyup paste click", updateFactor)
 
   // 並べ替え（D&D）イベントを設定
@@ -126,11 +122,21 @@ function updateRotationButtons(jumpType) {
   }
 }
 
+// TES・PCS・TSS（丸めと減点を含む）は engine.js の computeProgram でまとめて計算する
+function currentProgram(){
+  return {
+    segment: segment.id,
+    elements: elements,
+    pcs: { co: pcs.co, pr: pcs.pr, ss: pcs.ss, factors: pcsFactors },
+    deduct: deduct
+  };
+}
+
 function updateTSS(){
-  updatePCS();
-  updateTES();
-  tss = tes + pcsTotal + deduct;
-  tss = Math.round(tss * 1000 / 10) / 100;
+  const result = computeProgram(currentProgram());
+  tes = result.tes;
+  pcsTotal = result.pcs;
+  tss = result.tss;
   $("#tes").html(tes.toFixed(2));
   $("#pcs").html(pcsTotal.toFixed(2));
   $("#tss").html(tss.toFixed(2));
@@ -140,13 +146,17 @@ function updateTSS(){
 function renderElements(){
   const $tbody = $(".displayTable");
   let html = "";
+  // ウェルバランスの検証（*や警告）を含めて計算
+  const program = computeProgram(currentProgram());
   for (let i = 0; i < elements.length; i++){
-    const parts = elements[i];
-    const disp = getElementDisplayText(parts);
-    const res = computeElementResult(parts);
-    html += `<tr data-index="${i}" draggable="true">`;
+    const res = program.elements[i];
+    const check = program.validation.rows[i];
+    const messages = check.messages.concat(res.unknownCodes.map(code => `SOVに無い要素コード: ${code}（0点）`));
+    const notes = messages.map(m => `<div class="small text-danger">${m}</div>`).join("");
+    const rowClass = check.invalid ? 'table-danger' : (res.unknownCodes.length ? 'table-warning' : '');
+    html += `<tr data-index="${i}" draggable="true"${rowClass ? ` class="${rowClass}"` : ''}>`;
     html += `<td class="numElem">${i + 1}</td>`;
-    html += `<td>${disp}</td>`;
+    html += `<td>${res.display}${notes}</td>`;
     html += `<td>${res.totalBV.toFixed(2)}</td>`;
     html += `<td>${res.goe}</td>`;
     html += `<td>${res.goeValue.toFixed(2)}</td>`;
@@ -159,89 +169,24 @@ function renderElements(){
     html += `</tr>`;
   }
   $tbody.html(html);
+  $("#program-warnings").html(program.validation.messages.map(m => `<li>${m}</li>`).join(""));
 }
 
-function updatePCS(){
-  pcsTotal = 0;
-  for (var i = 0; i < pcs.length; i++){
-    pcsTotal += pcs[i];
-  }
-  pcsTotal *= pcsFactor;
-  pcsTotal = Math.round(pcsTotal * 1000 / 10) / 100
-}
-
+// 係数入力は3構成要素に共通で適用
 function updateFactor(){
-  pcsFactor = parseFloat(this.value);
+  var factor = parseFloat(this.value);
+  PCS_COMPONENTS.forEach(function(key){ pcsFactors[key] = factor; });
   updateTSS();
 }
 
-function updateSS(){
-  if (this.value > 10){
-    $("#pcs-ss-box").val(10.0);
-    $("#pcs-ss-slider").val(10.0);
-    pcs[0] = 10.0;
-  }
-  else{
-    $("#pcs-ss-box").val(this.value);
-    $("#pcs-ss-slider").val(this.value);
-    pcs[0] = parseFloat(this.value);
-  }
-  updateTSS();
-}
-
-function updateTR(){
-  if (this.value > 10){
-    $("#pcs-tr-box").val(10.0);
-    $("#pcs-tr-slider").val(10.0);
-    pcs[1] = 10.0;
-  }
-  else{
-    $("#pcs-tr-box").val(this.value);
-    $("#pcs-tr-slider").val(this.value);
-    pcs[1] = parseFloat(this.value);
-  }
-  updateTSS();
-}
-
-function updatePR(){
-  if (this.value > 10){
-    $("#pcs-pr-box").val(10.0);
-    $("#pcs-pr-slider").val(10.0);
-    pcs[2] = 10.0;
-  }
-  else{
-    $("#pcs-pr-box").val(this.value);
-    $("#pcs-pr-slider").val(this.value);
-    pcs[2] = parseFloat(this.value);
-  }
-  updateTSS();
-}
-
-function updateCO(){
-  if (this.value > 10){
-    $("#pcs-co-box").val(10.0);
-    $("#pcs-co-slider").val(10.0);
-    pcs[3] = parseFloat(this.value);
-  }
-  else{
-    $("#pcs-co-box").val(this.value);
-    $("#pcs-co-slider").val(this.value);
-    pcs[3] = parseFloat(this.value);
-  }
-  updateTSS();
-}
-
-function updateIN(){
-  if (this.value > 10){
-    $("#pcs-in-box").val(10.0);
-    $("#pcs-in-slider").val(10.0);
-    pcs[4] = 10.0;
-  }
-  else{
-    $("#pcs-in-box").val(this.value);
-    $("#pcs-in-slider").val(this.value);
-    pcs[4] = parseFloat(this.value);
+// 構成要素（co/pr/ss）のボックスとスライダーを同期
+function updateComponent(key, value){
+  if (value > 10){
+    value = 10.0;
   }
+  $("#pcs-" + key + "-box").val(value);
+  $("#pcs-" + key + "-slider").val(value);
+  pcs[key] = parseFloat(value) || 0.0;
   updateTSS();
 }
 
@@ -597,137 +542,6 @@ function addElement(){
   clearEntry();
 }
 
-function calculateBuffer(){
-  const bvForGOEList = [];
-  const codesForGOE = [];
-  for (let i = 0; i < buffer.length; i++){
-    const p = buffer[i];
-    let code = "";
-
-    if (p.invalid === true){
-      p.bv = 0.0;
-    } else if (p.type === "jump"){
-      if (parseInt(p.lod) !== 0){
-        code = `${p.lod}${p.name}`;
-        if (p.dg){
-          code += '<<';
-        } else {
-          if (p.edge && p.ur){
-            code += '!<';
-          } else {
-            if (p.edge){ code += '!'; }
-            if (p.ur){ code += '<'; }
-          }
-          if (p.q){ code += 'q'; }
-        }
-        try {
-          p.bv = getBase(code);
-        } catch (e) {
-          p.bv = 0.0;
-        }
-      } else {
-        p.bv = 0.0;
-      }
-    } else if (p.type === "seq"){
-      code = `${p.name}${p.lod}`;
-      try {
-        p.bv = getBase(code);
-      } catch (e) {
-        p.bv = 0.0;
-      }
-    } else {
-      code = '';
-      if (p.cof){ code += 'C'; }
-      if (p.fly){ code += 'F'; }
-      code += `${p.name}${p.lod}`;
-      try {
-        p.bv = getBase(code);
-      } catch (e) {
-        p.bv = 0.0;
-      }
-    }
-
-    // base score calculation
-    p.bvForScoreCalculation = p.bv;
-    if (buffer[0].bonus === true){ p.bvForScoreCalculation *= 1.1; }
-    if (p.rep === true){ p.bvForScoreCalculation *= 0.7; }
-    if (p.spinV === true){ p.bvForScoreCalculation *= 0.75; }
-
-    // GOE Calculation base
-    if (p.name !== "ChSq"){
-      p.bvForGOECalculation = p.bv;
-      if (p.spinV === true){ p.bvForGOECalculation *= 0.75; }
-    } else {
-      p.bvForGOECalculation = p.bv;
-      buffer[0].goeValue = buffer[0].goe * 0.5;
-    }
-    p.bvForGOECalculation = Math.round(p.bvForGOECalculation * 1000 / 10) / 100;
-    bvForGOEList.push(p.bvForGOECalculation);
-    codesForGOE.push(code);
-  }
-
-  if (buffer[0].name !== "ChSq"){
-    if (buffer[0].goe != 0 && bvForGOEList.length > 0){
-      const idx = bvForGOEList.indexOf(Math.max(...bvForGOEList));
-      const code = codesForGOE[idx];
-      try {
-        const base = getBase(code);
-        const delta = getScore(code, buffer[0].goe) - base;
-        const coeff = base === 0 ? 0 : bvForGOEList[idx] / base;
-        buffer[0].goeValue = Math.round(delta * coeff * 1000 / 10) / 100;
-      } catch (e) {
-        buffer[0].goeValue = Math.round(Math.max(...bvForGOEList) * (buffer[0].goe * 0.1) * 1000 / 10) / 100;
-      }
-    } else {
-      buffer[0].goeValue = 0.0;
-    }
-  }
-}
-
-
-
-function appendToTable(){
-  var totalBV = 0;
-  var totalScore = 0;
-  var row = "";
-
-  for (var i = 0; i < buffer.length; i++){
-    totalBV += buffer[i].bvForScoreCalculation;
-  }
-  totalScore = totalBV + buffer[0].goeValue;
-
-  row = "<tr>";
-  row += "<td class=\"numElem\">" + numElementsInTable + "</td>";
-  row += "<td>" + elementDisplay.html() + "</td>";
-  row += "<td>" + (Math.round(totalBV * 1000 / 10) / 100).toFixed(2) + "</td>";
-  row += "<td>" + buffer[0].goe + "</td>";
-  row += "<td>" + (Math.round(buffer[0].goeValue * 1000 / 10) / 100).toFixed(2) + "</td>";
-  row += "<td class=\"elemScore\">" + (Math.round(totalScore * 1000 / 10) / 100).toFixed(2) + "</td>";
-  row += "<td><i class=\"delete far fa-trash-alt\"></i></td>";
-  row += "</tr>";
-  //console.log(row);
-  $(".displayTable").append(row);
-  $(".delete").click(remove);
-}
-
-function remove(){
-  $(this).parent().parent().remove();
-  numElementsInTable = 0;
-  for (var i = 0; i < $(".numElem").length; i++){
-    $(".numElem").eq(i).html(i + 1);
-    numElementsInTable++;
-  }
-  updateTSS();
-}
-
-function updateTES(){
-  var totalScore = 0;
-  for (var i = 0; i < $(".elemScore").length; i++){
-    totalScore += parseFloat($(".elemScore").eq(i).html());
-  }
-  tes = Math.round(totalScore * 1000 / 10) / 100
-}
-
 // 行編集開始（編集アイコン）
 function onEditRow(){
   const idx = parseInt($(this).closest('tr').data('index'));
@@ -772,130 +586,6 @@ function setupDragAndDrop(){
   });
 }
 
-// 既存buffer配列に依存せず、行の得点を計算
-function computeElementResult(parts){
-  const local = JSON.parse(JSON.stringify(parts));
-  let sumBVForScore = 0.0;
-  const bvForGOEList = [];
-  const codesForGOE = [];
-
-  for (let i = 0; i < local.length; i++){
-    const p = local[i];
-    let code = "";
-
-    if (p.invalid === true){
-      p.bv = 0.0;
-    } else if (p.type === 'jump'){
-      if (parseInt(p.lod) !== 0){
-        code = `${p.lod}${p.name}`;
-        if (p.dg){
-          code += '<<';
-        } else {
-          if (p.edge && p.ur){
-            code += '!<';
-          } else {
-            if (p.edge){ code += '!'; }
-            if (p.ur){ code += '<'; }
-          }
-          if (p.q){ code += 'q'; }
-        }
-        try {
-          p.bv = getBase(code);
-        } catch (e) {
-          p.bv = 0.0;
-        }
-      } else {
-        p.bv = 0.0;
-      }
-    } else if (p.type === 'seq'){
-      code = `${p.name}${p.lod}`;
-      try {
-        p.bv = getBase(code);
-      } catch (e) {
-        p.bv = 0.0;
-      }
-    } else { // spin
-      code = '';
-      if (p.fly){ code += 'F'; }
-      if (p.cof){ code += 'C'; }
-      code += `${p.name}${p.lod}`;
-      try {
-        p.bv = getBase(code);
-      } catch (e) {
-        p.bv = 0.0;
-      }
-    }
-
-    // score用係数
-    p.bvForScoreCalculation = p.bv;
-    if (local[0].bonus === true){ p.bvForScoreCalculation *= 1.1; }
-    if (p.rep === true){ p.bvForScoreCalculation *= 0.7; }
-    if (p.spinV === true){ p.bvForScoreCalculation *= 0.75; }
-    sumBVForScore += p.bvForScoreCalculation;
-
-    // GOE用係数
-    p.bvForGOECalculation = p.bv;
-    if (p.spinV === true){ p.bvForGOECalculation *= 0.75; }
-    p.bvForGOECalculation = Math.round(p.bvForGOECalculation * 1000 / 10) / 100;
-    bvForGOEList.push(p.bvForGOECalculation);
-    codesForGOE.push(code);
-  }
-
-  let goe = parseInt(local[0].goe || 0);
-  let goeValue = 0.0;
-  if (local[0].name === 'ChSq'){
-    goeValue = goe * 0.5;
-  } else if (goe !== 0 && bvForGOEList.length > 0){
-    const idx = bvForGOEList.indexOf(Math.max(...bvForGOEList));
-    const code = codesForGOE[idx];
-    try {
-      const base = getBase(code);
-      const delta = getScore(code, goe) - base;
-      const coeff = base === 0 ? 0 : bvForGOEList[idx] / base;
-      goeValue = delta * coeff;
-    } catch (e) {
-      goeValue = Math.max(...bvForGOEList) * (goe * 0.1);
-    }
-  }
-  goeValue = Math.round(goeValue * 1000 / 10) / 100;
-
-  const totalBV = Math.round(sumBVForScore * 1000 / 10) / 100;
-  const totalScore = Math.round((sumBVForScore + goeValue) * 1000 / 10) / 100;
-  return { totalBV, goe, goeValue, totalScore };
-}
-
-// 表示用文字列の生成（DOMに依存しない）
-function getElementDisplayText(parts){
-  let out = "";
-  for (let i = 0; i < parts.length; i++){
-    const p = parts[i];
-    if (p.type === "jump"){
-      if (p.lod != null && p.lod != 0){ out += String(p.lod); }
-      if (p.name !== null){ out += p.name; }
-      if (p.q){ out += "q"; }
-      if (p.edge){ out += "e"; }
-      if (p.ur){ out += "<"; }
-      if (p.dg){ out += "<<"; }
-      if (p.invalid){ out += "*"; }
-      if (p.rep){ out += "+REP"; }
-    } else if (p.type === "spin"){
-      if (p.fly){ out += "F"; }
-      if (p.cof){ out += "C"; }
-      if (p.name !== null){ out += p.name; }
-      if (p.lod != null && p.lod != 0){ out += String(p.lod); }
-      if (p.spinV){ out += "V"; }
-      if (p.invalid){ out += "*"; }
-    } else { // seq
-      if (p.name !== null){ out += p.name; }
-      if (p.lod != null && p.lod != 0){ out += String(p.lod); }
-      if (p.invalid){ out += "*"; }
-    }
-    if (i !== parts.length - 1){ out += "+"; }
-  }
-  if (parts[0]?.bonus){ out += "  x"; }
-  return out;
-}
-
 // 削除（委譲）
 function onDeleteRow(){
   const idx = parseInt($(this).closest('tr').data('index'));
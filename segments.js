@@ -0,0 +1,131 @@
+// segments.js - 競技区分（セグメント×クラス×種目）ごとのプリセット
+// PCS係数・要素数の上限・コンビネーション規定・ボーナス対象ジャンプ数・転倒減点・その他の減点はここから読む
+
+// 転倒減点（n回目の転倒の減点。配列末尾以降は末尾の値を繰り返す）
+const FALLS_SENIOR = [1, 1, 2, 2, 3];
+const FALLS_JUNIOR = [1, 1, 2];
+// アイスダンスは1人の転倒ごとに1点（2人とも転倒した場合は転倒2回として入力する）
+const FALLS_DANCE = [1];
+
+// 転倒以外の減点（件数×amount）。中断は10秒を超えた10秒ごと、時間違反は5秒ごとに1件と数える
+export const DEDUCTION_TYPES = [
+  { key: 'interruption', label: '中断', amount: 1 },
+  { key: 'time', label: '時間違反', amount: 1 },
+  { key: 'costume', label: '衣装・小道具の違反', amount: 1 },
+  { key: 'illegal', label: '禁止要素・禁止動作', amount: 2 },
+  { key: 'music', label: '音楽の規定違反', amount: 2 }
+];
+
+const DISCIPLINES = {
+  men: '男子',
+  women: '女子',
+  pairs: 'ペア',
+  dance: 'アイスダンス'
+};
+
+// 種目ごとのセグメント（アイスダンスはリズムダンスとフリーダンス）
+const DISCIPLINE_SEGMENTS = {
+  men: ['sp', 'fs'],
+  women: ['sp', 'fs'],
+  pairs: ['sp', 'fs'],
+  dance: ['rd', 'fd']
+};
+
+const LEVELS = {
+  senior: { label: 'シニア', falls: FALLS_SENIOR },
+  junior: { label: 'ジュニア', falls: FALLS_JUNIOR }
+};
+
+// セグメント別の要素構成
+// maxElements: jump=ジャンプ要素, spin=スピン, stsq=ステップシークエンス, chsq=コレオシークエンス
+//              ペアのみ: twist=ツイストリフト, throw=スロージャンプ, lift=リフト, ds=デススパイラル, pif=ピボットフィギュア
+//              アイスダンス: lift=ダンスリフト, spin=ダンススピン, stsq=ステップシークエンス（OFTを含む）,
+//                            twizzle=シンクロナイズドツイズル, choreo=コレオグラフィック要素, pattern=パターンダンス要素
+// combos: max=コンビネーション数, jumps=1コンビネーションのジャンプ数, threeJump=3連続ジャンプの数
+// repeats: ザヤックルール（types=繰り返せる3・4回転の種類数, times=同じジャンプの回数）。SPはなし
+const LAYOUTS = {
+  sp: {
+    label: 'SP',
+    repeats: null,
+    men:   { factor: 1.67, maxElements: { jump: 3, spin: 3, stsq: 1, chsq: 0 }, combos: { max: 1, jumps: 2, threeJump: 0 }, bonusJumps: 1 },
+    women: { factor: 1.33, maxElements: { jump: 3, spin: 3, stsq: 1, chsq: 0 }, combos: { max: 1, jumps: 2, threeJump: 0 }, bonusJumps: 1 },
+    pairs: { factor: 1.33, maxElements: { jump: 1, spin: 1, stsq: 1, chsq: 0, twist: 1, throw: 1, lift: 1, ds: 1, pif: 0 }, combos: { max: 0, jumps: 2, threeJump: 0 }, bonusJumps: 1 }
+  },
+  fs: {
+    label: 'FS',
+    repeats: { types: 2, times: 2 },
+    men:   { factor: 3.33, maxElements: { jump: 7, spin: 3, stsq: 1, chsq: 1 }, combos: { max: 3, jumps: 3, threeJump: 1 }, bonusJumps: 3 },
+    women: { factor: 2.67, maxElements: { jump: 7, spin: 3, stsq: 1, chsq: 1 }, combos: { max: 3, jumps: 3, threeJump: 1 }, bonusJumps: 3 },
+    pairs: { factor: 2.67, maxElements: { jump: 2, spin: 1, stsq: 0, chsq: 1, twist: 1, throw: 2, lift: 3, ds: 1, pif: 1 }, combos: { max: 1, jumps: 3, threeJump: 1 }, bonusJumps: 2 }
+  },
+  // アイスダンスにはジャンプ・ボーナスが無い。PCS係数はシニア・ジュニア共通
+  rd: {
+    label: 'RD',
+    repeats: null,
+    dance: { factor: 1.33, maxElements: { pattern: 1, lift: 1, twizzle: 1, stsq: 1, choreo: 1 }, combos: { max: 0, jumps: 0, threeJump: 0 }, bonusJumps: 0, falls: FALLS_DANCE }
+  },
+  fd: {
+    label: 'FD',
+    repeats: null,
+    dance: { factor: 2.00, maxElements: { lift: 3, spin: 1, twizzle: 1, stsq: 2, choreo: 3 }, combos: { max: 0, jumps: 0, threeJump: 0 }, bonusJumps: 0, falls: FALLS_DANCE }
+  }
+};
+
+// 記載のない要素区分は0（シングルではペア・アイスダンスの要素を置けない）
+const NO_ELEMENTS = { jump: 0, spin: 0, stsq: 0, chsq: 0, twist: 0, throw: 0, lift: 0, ds: 0, pif: 0, twizzle: 0, choreo: 0, pattern: 0 };
+
+function buildSegments() {
+  const list = [];
+  for (const [level, lv] of Object.entries(LEVELS)) {
+    for (const [discipline, dLabel] of Object.entries(DISCIPLINES)) {
+      for (const segment of DISCIPLINE_SEGMENTS[discipline]) {
+        const base = LAYOUTS[segment][discipline];
+        list.push({
+          id: `${level}-${discipline}-${segment}`,
+          label: `${lv.label}${dLabel} ${LAYOUTS[segment].label}`,
+          level,
+          discipline,
+          segment,
+          pcsFactors: { co: base.factor, pr: base.factor, ss: base.factor },
+          maxElements: { ...NO_ELEMENTS, ...base.maxElements },
+          combos: { ...base.combos },
+          repeats: LAYOUTS[segment].repeats && { ...LAYOUTS[segment].repeats },
+          bonusJumps: base.bonusJumps,
+          fallDeductions: (base.falls || lv.falls).slice()
+        });
+      }
+    }
+  }
+  return list;
+}
+
+export const SEGMENTS = buildSegments();
+export const DEFAULT_SEGMENT_ID = 'senior-men-sp';
+
+export function getSegment(id) {
+  return SEGMENTS.find(s => s.id === id) || SEGMENTS.find(s => s.id === DEFAULT_SEGMENT_ID);
+}
+
+// 大会の種目（レベル × 種目。例: senior-women）。segments は実施順のセグメント（SP → FS、RD → FD）
+export const CATEGORIES = Object.keys(LEVELS).flatMap(level => Object.keys(DISCIPLINES).map(discipline => {
+  const segments = SEGMENTS.filter(s => s.level === level && s.discipline === discipline);
+  return {
+    id: `${level}-${discipline}`,
+    label: `${LEVELS[level].label}${DISCIPLINES[discipline]}`,
+    segments: segments.map(s => s.id)
+  };
+}));
+
+export function getCategory(id) {
+  return CATEGORIES.find(c => c.id === id) || CATEGORIES[0];
+}
+
+// n回の転倒による減点の合計（負の値）
+export function getFallDeduction(segment, falls) {
+  const scale = segment.fallDeductions;
+  let total = 0;
+  for (let i = 0; i < falls; i++) {
+    total += scale[Math.min(i, scale.length - 1)];
+  }
+  return -total;
+}
@@ -0,0 +1,161 @@
+// share.js - 共有リンク（URLフラグメント）へのプログラムの書き出しと復元（サーバー不要・DOM非依存）
+// フラグメントは「p<版数>.<base64url(JSON)>」。要素はパーツオブジェクトではなくプロトコル表記で持つため、
+// パーツの形が変わっても古いリンクを読み込める。形式を変えるときは版数を上げ、古い版のデコーダは残す
+
+import { parseElement, formatElement } from './notation.js';
+import { PCS_COMPONENTS } from './engine.js';
+import { DEDUCTION_TYPES } from './segments.js';
+
+const CURRENT_VERSION = 1;
+const FRAGMENT_RE = /^#?p(\d+)\.([A-Za-z0-9_-]+)$/;
+// ジャッジ数の選択肢（0 はジャッジ別の入力なし）
+const JUDGE_COUNTS = [0, 3, 4, 5, 6, 7, 8, 9];
+
+function brokenLink(detail) {
+  return new Error(`共有リンクのデータが壊れています${detail ? `（${detail}）` : ''}`);
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(data) {
+  const bin = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+// 要素1つ: 表記 + 「@」ジャッジ別GOE（カンマ区切り、空欄は未入力）または「~」単一GOE
+function encodeElement(parts) {
+  const head = parts[0] || {};
+  let out = formatElement(parts);
+  if (Array.isArray(head.judges) && head.judges.some(m => m != null)) out += '@' + head.judges.map(m => (m == null ? '' : m)).join(',');
+  else if (head.goe) out += '~' + head.goe;
+  return out;
+}
+
+const clampGOE = v => Math.max(-5, Math.min(5, v));
+
+function decodeElement(text) {
+  const m = /^(.*?)(?:@([-\d,]*)|~(-?\d+))?$/.exec(String(text));
+  const parts = parseElement(m[1]);
+  if (m[2] != null) parts[0].judges = m[2].split(',').map(v => (v === '' || isNaN(parseInt(v, 10)) ? null : clampGOE(parseInt(v, 10))));
+  else if (m[3] != null) parts[0].goe = clampGOE(parseInt(m[3], 10));
+  return parts;
+}
+
+// 件数（転倒数・減点の件数）は0以上の整数。省略は0
+function decodeCount(v, label) {
+  if (v == null) return 0;
+  if (!Number.isInteger(v) || v < 0) throw brokenLink(`${label}: ${JSON.stringify(v)}`);
+  return v;
+}
+
+// ジャッジ数は選択肢の範囲に収める（0以下・数値でなければ0、1〜2人は3人、10人以上は9人）
+function decodeJudgeCount(v) {
+  if (v == null) return undefined;
+  const n = Math.trunc(Number(v));
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  const panels = JUDGE_COUNTS.filter(c => c > 0);
+  return Math.max(panels[0], Math.min(panels[panels.length - 1], n));
+}
+
+// PCSの点は 0.25〜10（0 は未入力）。ジャッジ別の配列の空欄（null）は未入力
+const isPCSMark = v => typeof v === 'number' && (v === 0 || (v >= 0.25 && v <= 10));
+
+function decodePCSMarks(v, label) {
+  if (v == null) return 0;
+  if (Array.isArray(v) ? v.every(m => m == null || isPCSMark(m)) : isPCSMark(v)) return v;
+  throw brokenLink(`${label}: ${JSON.stringify(v)}`);
+}
+
+// 係数は正の数。null はセグメントのプリセット
+function decodeFactor(v, label) {
+  if (v == null) return undefined;
+  if (typeof v !== 'number' || !Number.isFinite(v) || v <= 0) throw brokenLink(`${label}: ${JSON.stringify(v)}`);
+  return v;
+}
+
+// 減点の内訳は DEDUCTION_TYPES の項目のみ（それ以外のキーは無視する）
+function decodeDeductions(dd) {
+  const out = {};
+  for (const { key } of DEDUCTION_TYPES) {
+    const n = decodeCount(dd?.[key], key);
+    if (n) out[key] = n;
+  }
+  return out;
+}
+
+// v1: { s: 競技区分, e: [要素], c: [co, pr, ss]（数値またはジャッジ別の配列）, f: [係数 co, pr, ss], j: ジャッジ数, fl: 転倒数, d: その他の減点,
+//       sn: SOVのシーズン（任意。無いリンクは選択中のシーズンで開く）,
+//       ef: 要素ごとの転倒数（任意）, dd: 減点の内訳の件数 { interruption, time, ... }（任意） }
+// ef・dd の無い古いリンクでは、fl が転倒数のすべて、d が転倒以外の減点のすべてになる（計算結果は変わらない）
+// ジャッジ数・GOEは入力できる範囲に収め、転倒数・減点の件数が0以上の整数でないとき、PCSの点・係数が範囲外のときは壊れたリンクとして扱う
+const DECODERS = {
+  1(payload) {
+    const pcs = { factors: {} };
+    PCS_COMPONENTS.forEach((key, i) => {
+      pcs[key] = decodePCSMarks(payload.c?.[i], `c[${i}]`);
+      const factor = decodeFactor(payload.f?.[i], `f[${i}]`);
+      if (factor != null) pcs.factors[key] = factor;
+    });
+    return {
+      segment: payload.s || null,
+      season: payload.sn || null,
+      elements: (payload.e || []).map((text, i) => {
+        const parts = decodeElement(text);
+        const fall = decodeCount(payload.ef?.[i], `ef[${i}]`);
+        if (fall) parts[0].fall = fall;
+        return parts;
+      }),
+      pcs,
+      judgeCount: decodeJudgeCount(payload.j),
+      falls: decodeCount(payload.fl, 'fl'),
+      deductions: decodeDeductions(payload.dd),
+      deduct: Number(payload.d) || 0
+    };
+  }
+};
+
+// プログラム（computeProgram の入力 + judgeCount）を共有用フラグメントに変換
+export function encodeShareFragment(program) {
+  const pcs = program.pcs || {};
+  const elements = program.elements || [];
+  const elementFalls = elements.map(parts => Number(parts[0]?.fall || 0));
+  const deductions = Object.fromEntries(Object.entries(program.deductions || {}).filter(([, n]) => n));
+  const payload = {
+    s: program.segment,
+    sn: program.season || undefined,
+    e: elements.map(encodeElement),
+    c: PCS_COMPONENTS.map(key => pcs[key] ?? 0),
+    f: PCS_COMPONENTS.map(key => pcs.factors?.[key] ?? pcs.factor ?? null),
+    j: program.judgeCount || 0,
+    fl: program.falls || 0,
+    d: program.deduct || 0,
+    ef: elementFalls.some(n => n) ? elementFalls : undefined,
+    dd: Object.keys(deductions).length ? deductions : undefined
+  };
+  return `p${CURRENT_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+export function isShareFragment(hash) {
+  return FRAGMENT_RE.test(String(hash || ''));
+}
+
+// フラグメントからプログラムを復元（共有リンクでなければ null、壊れていれば例外）
+export function decodeShareFragment(hash) {
+  const m = FRAGMENT_RE.exec(String(hash || ''));
+  if (!m) return null;
+  const decode = DECODERS[m[1]];
+  if (!decode) throw new Error(`未対応の共有リンクの版です: p${m[1]}`);
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(m[2]));
+  } catch {
+    throw brokenLink();
+  }
+  if (!payload || typeof payload !== 'object') throw brokenLink();
+  return decode(payload);
+}
@@ -0,0 +1,167 @@
+// sovcheck.js - SOV JSON の整合性チェック（DOM非依存。basevalues.js の読み込み時と tools/check-sov.mjs で使う）
+// - コードの文法: notation.js で読めて、同じコードに戻ること（キリル文字などの紛れ込みを検出）
+// - GOE列: columns に -5〜+5 と BASE があり、各要素にすべての列が数値であること（BASE = base）
+// - GOEの単調性: -5 から +5 へ減らないこと
+// - 要素の揃い: 回転数・エッジ・回転不足・スピンの種類とレベルなど、あるべき派生コードがあること
+//   ペアの要素（スロー・ツイスト・リフトなど）は、ファイルに1つでもあればそろっているかを確かめる
+//   アイスダンスのSOV（meta.discipline が "dance"）はダンスの要素の揃いだけを見る（パターンダンス要素はシーズンごとに違うので見ない）
+
+import { parsePart } from './notation.js';
+import { getPartCode } from './engine.js';
+
+const GOE_COLUMNS = ['-5', '-4', '-3', '-2', '-1', '1', '2', '3', '4', '5'];
+const LEVELS = ['B', '1', '2', '3', '4'];
+
+// 1〜4回転のジャンプ（回転不足の派生を含む）。F / Lz はエッジ（e, !）の派生も必要
+const JUMPS = ['T', 'S', 'Lo', 'F', 'Lz', 'A'];
+const ROTATION_CALLS = ['', 'q', '<', '<<'];
+const EDGE_JUMPS = ['F', 'Lz'];
+
+// スピン: 基本姿勢、フライング(F)、足換え(C)、フライング足換え(FC)。V は基本の単一姿勢スピン以外
+const SPIN_FAMILIES = [
+  ...['USp', 'LSp', 'CSp', 'SSp'].map(name => ({ name, v: false })),
+  { name: 'CoSp', v: true },
+  ...['F', 'C', 'FC'].flatMap(prefix => ['USp', 'LSp', 'CSp', 'SSp', 'CoSp'].map(name => ({ name: prefix + name, v: true })))
+];
+
+// ペア: スロー（1〜4回転。4Aは無し）、ツイストリフト、リフトのグループ、デススパイラル、ペアスピン（V付きも）、ピボットフィギュア
+const PAIR_RE = /^(?:\d(?:T|S|Lo|F|Lz|A)Th|\dTw|\d[TSRBA]?Li|(?:Fi|Bi|Fo|Bo)Ds|PC?o?Sp|PiF)/;
+const LIFTS = ['1Li', '2Li', '3Li', '4Li', '5TLi', '5SLi', '5RLi', '5BLi', '5ALi'];
+const DEATH_SPIRALS = ['FiDs', 'BiDs', 'FoDs', 'BoDs'];
+
+// ペアの要素のコードか（SOVにペアの表が入っているかの判定に使う）
+export function isPairCode(code) {
+  return PAIR_RE.test(code);
+}
+
+function expectedPairCodes() {
+  const codes = [];
+  for (let n = 1; n <= 4; n++) {
+    for (const jump of JUMPS) {
+      if (n === 4 && jump === 'A') continue;
+      for (const call of ROTATION_CALLS) codes.push(`${n}${jump}Th${call}`);
+    }
+  }
+  for (const level of LEVELS) {
+    for (let n = 1; n <= 4; n++) codes.push(`${n}Tw${level}`);
+    for (const name of [...LIFTS, ...DEATH_SPIRALS, 'PiF']) codes.push(`${name}${level}`);
+    for (const name of ['PSp', 'PCoSp']) codes.push(`${name}${level}`, `${name}${level}V`);
+  }
+  return codes;
+}
+
+// アイスダンス: リフト、パートナー別（W/M）のツイズル・ステップ、ダンススピン、コレオグラフィック要素（レベル1のみ）
+const DANCE_LIFTS = ['StaLi', 'StLi', 'CuLi', 'RoLi', 'SeLi', 'ReLi'];
+const DANCE_PARTNER_ELEMENTS = ['SyTw', 'MiSt', 'DiSt', 'CiSt', 'SeSt', 'OFT'];
+const DANCE_CHOREO = ['ChSt', 'ChTw', 'ChSl', 'ChLi', 'ChSp', 'ChRS'];
+
+function expectedDanceCodes() {
+  const codes = [];
+  for (const level of LEVELS) {
+    for (const name of [...DANCE_LIFTS, 'Sp', 'CoSp']) codes.push(`${name}${level}`);
+    for (const name of DANCE_PARTNER_ELEMENTS) codes.push(`${name}W${level}`, `${name}M${level}`);
+  }
+  DANCE_CHOREO.forEach(name => codes.push(`${name}1`));
+  return codes;
+}
+
+function expectedCodes() {
+  const codes = [];
+  for (let n = 1; n <= 4; n++) {
+    for (const jump of JUMPS) {
+      const edges = EDGE_JUMPS.includes(jump) ? ['', 'e', '!'] : [''];
+      for (const edge of edges) {
+        for (const call of ROTATION_CALLS) codes.push(`${n}${jump}${edge}${call}`);
+      }
+    }
+  }
+  codes.push('1Eu');
+  for (const spin of SPIN_FAMILIES) {
+    for (const level of LEVELS) {
+      codes.push(`${spin.name}${level}`);
+      if (spin.v) codes.push(`${spin.name}${level}V`);
+    }
+  }
+  for (const level of LEVELS) codes.push(`StSq${level}`);
+  codes.push('ChSq1');
+  return codes;
+}
+
+function describeChars(code) {
+  return [...code]
+    .filter(c => c.charCodeAt(0) > 0x7e)
+    .map(c => `「${c}」U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`)
+    .join(', ');
+}
+
+// SOV JSON を検査する。戻り値: { errors: [メッセージ], warnings: [メッセージ] }
+export function checkSOV(data) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data.elements !== 'object' || data.elements === null) {
+    return { errors: ['"elements" がありません'], warnings };
+  }
+
+  const columns = Array.isArray(data.columns) ? data.columns.map(String) : null;
+  if (!columns) {
+    errors.push('"columns" がありません');
+  } else {
+    const missing = [...GOE_COLUMNS, 'BASE'].filter(c => !columns.includes(c));
+    if (missing.length) errors.push(`"columns" に ${missing.join(', ')} がありません`);
+  }
+  const required = columns || [...GOE_COLUMNS, 'BASE'];
+
+  for (const [code, e] of Object.entries(data.elements)) {
+    const odd = describeChars(code);
+    if (odd) {
+      errors.push(`${code}: ASCII以外の文字 ${odd} が含まれています`);
+      continue;
+    }
+    let p = null;
+    try { p = parsePart(code); }
+    catch { /* 下で報告 */ }
+    if (!p || getPartCode(p) !== code) {
+      errors.push(`${code}: 要素コードとして読めません`);
+      continue;
+    }
+
+    if (!e || typeof e.base !== 'number') {
+      errors.push(`${code}: base が数値ではありません`);
+      continue;
+    }
+    const goe = e.goe || {};
+    const missing = required.filter(c => typeof goe[c] !== 'number');
+    if (missing.length) {
+      errors.push(`${code}: GOE列 ${missing.join(', ')} がありません`);
+      continue;
+    }
+    if ('BASE' in goe && goe.BASE !== e.base) errors.push(`${code}: BASE列 ${goe.BASE} と base ${e.base} が一致しません`);
+    const row = GOE_COLUMNS.map(c => goe[c]);
+    if (row.some((v, i) => i > 0 && v < row[i - 1])) errors.push(`${code}: GOEが -5 から +5 へ単調に増えていません`);
+    if (goe['-1'] > 0 || goe['1'] < 0) errors.push(`${code}: GOEの符号が正しくありません`);
+  }
+
+  const hasPairs = Object.keys(data.elements).some(isPairCode);
+  const expected = data.meta?.discipline === 'dance' ? expectedDanceCodes()
+    : hasPairs ? [...expectedCodes(), ...expectedPairCodes()] : expectedCodes();
+  const missingCodes = expected.filter(code => !(code in data.elements));
+  if (missingCodes.length) errors.push(`要素がありません: ${missingCodes.join(' ')}`);
+
+  // b付きのコードは元のコードと同じ値のはず
+  for (const [code, e] of Object.entries(data.elements)) {
+    if (!/^\d.*b$/.test(code)) continue;
+    const plain = data.elements[code.slice(0, -1)];
+    if (!plain) warnings.push(`${code}: 対応する ${code.slice(0, -1)} がありません`);
+    else if (plain.base !== e.base) warnings.push(`${code}: base ${e.base} が ${code.slice(0, -1)} の ${plain.base} と異なります`);
+  }
+
+  return { errors, warnings };
+}
+
+// 検査結果を1行ずつのテキストにする（コンソール・CLI用）
+export function formatSOVReport(report, label = 'SOV') {
+  const lines = [];
+  report.errors.forEach(m => lines.push(`[error] ${label}: ${m}`));
+  report.warnings.forEach(m => lines.push(`[warn]  ${label}: ${m}`));
+  return lines;
+}
@@ -0,0 +1,138 @@
+// target.js - 目標点から逆算する（「あと何点必要か」。DOM非依存）
+// 今のプログラム（要素の構成）を computeProgram で計算し直して答えるため、GOEの点はSOVのGOE表の値になる
+// - 平均GOE: すべての要素を同じGOEにしたときのTESをGOE -5〜+5 で計算し、目標に届くGOEを隣り合う段階の間で求める
+//   （ジャッジの点が混ざったときのGOEの点は、段階の間で直線的に変わるため）。転倒した要素のGOEは変えない
+// - 1要素の変更: ジャンプは回転数を1つ上げる・判定記号（<, <<, q, e, !）を消す、スピン・シークエンスなどはレベルを上げる、
+//   または1要素のGOEだけを上げる。それぞれを1つだけ行ったときの点を計算する
+// - 転倒の余裕: 各要素で1回転倒した（GOE -5 と転倒の減点）ときに目標に対してどれだけ余るか
+// 目標は合計（前半のセグメントの点 + このセグメントのTSS）またはこのセグメントのTES
+
+import { computeProgram, round2, isRenderablePart } from './engine.js';
+
+const GOE_GRADES = [-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5];
+const LEVELS = ['B', '1', '2', '3', '4'];
+const MAX_ROTATIONS = 5;
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+// 要素のGOEを1つの値にする（ジャッジ別の点は消す）
+function withGOE(parts, goe) {
+  const next = clone(parts);
+  next[0].goe = goe;
+  delete next[0].judges;
+  return next;
+}
+
+function replaceElement(program, index, parts) {
+  return { ...program, elements: program.elements.map((p, i) => (i === index ? parts : p)) };
+}
+
+// 要素の変更の候補: [{ kind, label, parts }]
+function upgradeCandidates(parts) {
+  const list = [];
+  parts.forEach((p, j) => {
+    if (!isRenderablePart(p)) return;
+    if (p.type === 'jump' || p.type === 'throw') {
+      const lod = parseInt(p.lod, 10);
+      if (lod > 0 && lod < MAX_ROTATIONS) {
+        const next = clone(parts);
+        next[j].lod = String(lod + 1);
+        list.push({ kind: 'rotation', label: parts.length > 1 ? `${j + 1}つ目のジャンプを${lod + 1}回転に` : `${lod + 1}回転に`, parts: next });
+      }
+      if (p.ur || p.dg || p.q || p.edge || p.attention) {
+        const next = clone(parts);
+        Object.assign(next[j], { ur: false, dg: false, q: false, edge: false, attention: false });
+        list.push({ kind: 'clean', label: parts.length > 1 ? `${j + 1}つ目のジャンプの判定記号なし` : '判定記号なし', parts: next });
+      }
+    }
+  });
+  // レベルのある要素（アイスダンスのパートナー別の要素は両方のパーツのレベルを上げる）
+  const leveled = parts.filter(p => isRenderablePart(p) && !['jump', 'throw'].includes(p.type) && LEVELS.includes(String(p.lod)));
+  if (leveled.length > 0) {
+    const current = Math.min(...leveled.map(p => LEVELS.indexOf(String(p.lod))));
+    for (let l = current + 1; l < LEVELS.length; l++) {
+      const next = clone(parts);
+      next.forEach(p => { if (LEVELS.includes(String(p.lod)) && LEVELS.indexOf(String(p.lod)) < l) p.lod = LEVELS[l]; });
+      list.push({ kind: 'level', label: `レベル${LEVELS[l]}に`, parts: next });
+    }
+  }
+  return list;
+}
+
+// program: computeProgram の入力
+// options: { mode: 'total' | 'tes', target: 目標点, previous: 前半のセグメントの点（合計のみ）, pcs: PCSの見込み（省略時はプログラムのPCS） }
+// 戻り値: { mode, target, need, current, averageGOE, upgrades, falls }
+// - need: このセグメントで必要な点（合計は TSS、TES は TES）。current: { score, margin }（margin = 今の点 − need）
+// - averageGOE: { goe: 必要な平均GOE（届かなければ null）, reachable, grades: [{ goe, score }] }
+// - upgrades: [{ index, display, kind, label, to, gain, score, reaches }]（届くものを点の増え方の小さい順、そのあと届かないもの）
+// - falls: [{ index, display, loss, margin }]（1回の転倒で失う点と、そのときの余裕）
+export function solveTarget(program, options = {}) {
+  const mode = options.mode === 'tes' ? 'tes' : 'total';
+  const target = Number(options.target) || 0;
+  const base = computeProgram(program);
+  const pcs = options.pcs == null || options.pcs === '' ? base.pcs : Number(options.pcs);
+  // 合計: TSS = TES + PCS（見込み）+ 減点
+  const scoreOf = res => (mode === 'tes' ? res.tes : round2(res.tes + pcs + res.deduct));
+  const need = round2(mode === 'tes' ? target : target - Number(options.previous || 0));
+  const elements = program.elements || [];
+  const inputs = { ...program, elements };
+  const current = scoreOf(base);
+
+  const fallen = i => Number(elements[i][0]?.fall || 0) > 0;
+  const grades = GOE_GRADES.map(goe => ({
+    goe,
+    score: scoreOf(computeProgram({ ...inputs, elements: elements.map((parts, i) => (fallen(i) ? parts : withGOE(parts, goe))) }))
+  }));
+  let averageGOE = null;
+  if (grades[0].score >= need) averageGOE = grades[0].goe;
+  else {
+    const k = grades.findIndex(g => g.score >= need);
+    if (k > 0) {
+      const [lo, hi] = [grades[k - 1], grades[k]];
+      averageGOE = Math.ceil((lo.goe + (need - lo.score) / (hi.score - lo.score)) * 100 - 1e-9) / 100;
+    }
+  }
+
+  const upgrades = [];
+  elements.forEach((parts, index) => {
+    const result = base.elements[index];
+    if (!result || parts.some(p => p.invalid) || result.unknownCodes.length) return;
+    const add = (kind, label, next) => {
+      const res = computeProgram(replaceElement(inputs, index, next));
+      if (res.elements[index].unknownCodes.length) return;
+      const score = scoreOf(res);
+      if (score <= current) return;
+      upgrades.push({ index, display: result.display, kind, label, to: res.elements[index].display, gain: round2(score - current), score, reaches: score >= need });
+    };
+    upgradeCandidates(parts).forEach(c => add(c.kind, c.label, c.parts));
+    // 1要素のGOEだけを上げる: 届く最小のGOE（届かなければ +5）
+    for (const goe of GOE_GRADES.filter(g => g > result.goe)) {
+      const score = scoreOf(computeProgram(replaceElement(inputs, index, withGOE(parts, goe))));
+      if (score >= need || goe === 5) {
+        add('goe', `GOE ${goe > 0 ? '+' : ''}${goe}`, withGOE(parts, goe));
+        break;
+      }
+    }
+  });
+  upgrades.sort((a, b) => (b.reaches - a.reaches) || (a.reaches ? a.gain - b.gain : b.gain - a.gain));
+
+  const falls = elements.map((parts, index) => {
+    const next = withGOE(parts, -5);
+    next[0].fall = Number(parts[0].fall || 0) + 1;
+    const score = scoreOf(computeProgram(replaceElement(inputs, index, next)));
+    return { index, display: base.elements[index].display, loss: round2(current - score), margin: round2(score - need) };
+  });
+
+  return {
+    mode,
+    target,
+    need,
+    pcs: round2(pcs),
+    current: { score: current, margin: round2(current - need) },
+    averageGOE: { goe: averageGOE, reachable: averageGOE != null, grades },
+    upgrades,
+    falls
+  };
+}
@@ -0,0 +1,43 @@
+// tools/check-sov.mjs - SOV JSON の整合性チェック（読み込み時と同じ sovcheck.js を使う）
+// 使い方: node tools/check-sov.mjs [SOV JSON ...]
+// 引数なしの場合は sov_manifest.json に登録されているファイル（アイスダンスを含む）をすべて検査する。エラーがあれば終了コード1
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { checkSOV, formatSOVReport } from '../sovcheck.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(here, '..');
+
+async function readJSON(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function main() {
+  let files = process.argv.slice(2);
+  if (files.length === 0) {
+    const manifest = await readJSON(path.join(root, 'sov_manifest.json'));
+    files = manifest.seasons.flatMap(s => [s.file, s.dance].filter(Boolean).map(f => path.join(root, f)));
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const name = path.basename(file);
+    let report;
+    try {
+      report = checkSOV(await readJSON(file));
+    } catch (err) {
+      report = { errors: [err.message], warnings: [] };
+    }
+    formatSOVReport(report, name).forEach(line => console.log(line));
+    if (report.errors.length) failed++;
+    else console.log(`ok   ${name} (${report.warnings.length} warnings)`);
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
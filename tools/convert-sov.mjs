@@ -0,0 +1,211 @@
+// tools/convert-sov.mjs - ISUのSOV（Communication の表）から抽出したテキスト / CSV を SOV JSON に変換する
+// 使い方: node tools/convert-sov.mjs <入力.txt|.csv|.tsv> [--out 出力.json] [--prev 前シーズン.json] [--source "ISU Communication xxxx"] [--discipline dance]
+// - 行の中で「要素コード + 数値11個」が並んでいる箇所を1要素として読む（それ以外の行は見出しなどとして無視）
+//   数値の並びは「基礎点, -5〜-1, +1〜+5」と「-5〜-1, 基礎点, +1〜+5」のどちらでもよい
+// - 要素コードはNFKC正規化し、キリル文字・ギリシャ文字の似た字をラテン文字に置き換えてから notation.js で検証する
+// - 変換後に sovcheck.js の整合性チェックを行い、前シーズンのファイル（既定は sov_manifest.json の default）との差分を表示する
+// - --discipline dance はアイスダンスの表（meta.discipline を "dance" にし、差分は default シーズンのダンスのファイルと取る）
+// --out が無い場合はJSONを標準出力に書き、メッセージは標準エラーに出す
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { parsePart } from '../notation.js';
+import { getPartCode } from '../engine.js';
+import { checkSOV, formatSOVReport } from '../sovcheck.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(here, '..');
+
+const COLUMNS = ['-5', '-4', '-3', '-2', '-1', 'BASE', '1', '2', '3', '4', '5'];
+
+// ラテン文字と見分けのつかないキリル文字・ギリシャ文字
+const LOOKALIKES = {
+  'А': 'A', 'В': 'B', 'С': 'C', 'Е': 'E', 'Н': 'H', 'К': 'K', 'М': 'M', 'О': 'O', 'Р': 'P', 'Т': 'T', 'Х': 'X', 'Ѕ': 'S', 'І': 'I', 'Ј': 'J',
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j',
+  'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X', 'ο': 'o'
+};
+
+function parseArgs(argv) {
+  const opts = { input: null, out: null, prev: null, source: '', discipline: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out') opts.out = argv[++i];
+    else if (a === '--prev') opts.prev = argv[++i];
+    else if (a === '--source') opts.source = argv[++i];
+    else if (a === '--discipline') opts.discipline = argv[++i];
+    else if (!opts.input) opts.input = a;
+    else throw new Error(`不明な引数です: ${a}`);
+  }
+  if (!opts.input) throw new Error('使い方: node tools/convert-sov.mjs <入力.txt|.csv|.tsv> [--out 出力.json] [--prev 前シーズン.json] [--source 出典] [--discipline dance]');
+  if (opts.discipline && opts.discipline !== 'dance') throw new Error(`--discipline に指定できるのは dance のみです: ${opts.discipline}`);
+  return opts;
+}
+
+// 要素コードの正規化（全角→半角、似た字→ラテン文字、ゼロ幅文字・空白の除去）
+function normalizeCode(text) {
+  return [...String(text).normalize('NFKC')]
+    .map(c => LOOKALIKES[c] ?? c)
+    .join('')
+    .replace(/[\u200B-\u200D\uFEFF\s]/g, '');
+}
+
+function toCode(token) {
+  const code = normalizeCode(token);
+  try {
+    const p = parsePart(code);
+    // 回転数の無いジャンプ（説明文中の「A」など）は要素コードとみなさない
+    if (p.type === 'jump' && p.lod === '0') return null;
+    return getPartCode(p) === code ? code : null;
+  } catch {
+    return null;
+  }
+}
+
+// 数値（マイナス記号の異体字と小数点のカンマを許す）。数値でなければ null
+function toNumber(token, decimalComma) {
+  let s = String(token).normalize('NFKC').trim().replace(/^[\u2212\u2012\u2013\u2014]/, '-').replace(/^\+/, '');
+  if (decimalComma) s = s.replace(/^(-?\d+),(\d+)$/, '$1.$2');
+  return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : null;
+}
+
+// CSVの1行（ダブルクォートで囲んだ項目に対応、項目内の改行は非対応）
+function splitDelimited(line, sep) {
+  const fields = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) { fields.push(cur.trim()); cur = ''; }
+    else cur += c;
+  }
+  fields.push(cur.trim());
+  return fields;
+}
+
+// 11個の数値を COLUMNS の順の GOE 行にする。基礎点が先頭か中央（-1 と +1 の間）かは符号で判断する
+function toRow(nums) {
+  const baseFirst = nums[0] > 0 && nums[1] < 0;
+  const base = baseFirst ? nums[0] : nums[5];
+  const goe = baseFirst ? [...nums.slice(1, 6), base, ...nums.slice(6)] : nums.slice();
+  return { base, goe: Object.fromEntries(COLUMNS.map((c, i) => [c, Math.round(goe[i] * 100) / 100])) };
+}
+
+// 入力テキストを { elements, renamed: [[元, 正規化後]], duplicates: [コード] } にする
+function convert(text, format) {
+  const elements = {};
+  const renamed = [];
+  const duplicates = [];
+  for (const line of text.split(/\r?\n/)) {
+    const tokens = format === 'text' ? line.trim().split(/\s+/) : splitDelimited(line, format === 'tsv' ? '\t' : ',');
+    for (let i = 0; i + 11 < tokens.length; i++) {
+      const code = toCode(tokens[i]);
+      if (!code) continue;
+      const nums = tokens.slice(i + 1, i + 12).map(t => toNumber(t, format !== 'csv'));
+      if (nums.length < 11 || nums.some(n => n === null)) continue;
+      const row = toRow(nums);
+      if (code !== tokens[i]) renamed.push([tokens[i], code]);
+      if (elements[code] && JSON.stringify(elements[code]) !== JSON.stringify(row)) duplicates.push(code);
+      elements[code] = row;
+      break;
+    }
+  }
+  return { elements, renamed, duplicates };
+}
+
+// 既存のファイルと同じ書式（GOEは -5〜-1, BASE, 1〜5 の順、整数も「8.0」のように書く）で書き出す
+// JSON.stringify は "1"〜"5" のような整数のキーを先に並べてしまうため、要素の部分は手で組み立てる
+function serialize(data) {
+  const pad = n => ' '.repeat(n);
+  const num = v => (Number.isInteger(v) ? v.toFixed(1) : String(v));
+  const elements = Object.entries(data.elements).map(([code, e]) => {
+    const goe = COLUMNS.map(c => `${pad(8)}${JSON.stringify(c)}: ${num(e.goe[c])}`).join(',\n');
+    return `${pad(4)}${JSON.stringify(code)}: {\n${pad(6)}"base": ${num(e.base)},\n${pad(6)}"goe": {\n${goe}\n${pad(6)}}\n${pad(4)}}`;
+  }).join(',\n');
+  const meta = JSON.stringify(data.meta, null, 2).replace(/\n/g, '\n  ');
+  const columns = JSON.stringify(data.columns, null, 2).replace(/\n/g, '\n  ');
+  return `{\n  "meta": ${meta},\n  "elements": {\n${elements}\n  },\n  "columns": ${columns}\n}\n`;
+}
+
+function fixed(v) {
+  return Number(v).toFixed(2);
+}
+
+// 前シーズンとの差分（追加・削除・基礎点の変更・GOEだけの変更）
+function diffSOV(prev, next) {
+  const lines = [];
+  const prevCodes = Object.keys(prev.elements);
+  const nextCodes = Object.keys(next.elements);
+  const added = nextCodes.filter(c => !(c in prev.elements));
+  const removed = prevCodes.filter(c => !(c in next.elements));
+  const baseChanged = [];
+  const goeChanged = [];
+  for (const code of nextCodes) {
+    const a = prev.elements[code];
+    const b = next.elements[code];
+    if (!a) continue;
+    if (a.base !== b.base) baseChanged.push(`${code} ${fixed(a.base)} → ${fixed(b.base)}`);
+    else if (COLUMNS.some(c => a.goe?.[c] !== b.goe[c])) goeChanged.push(code);
+  }
+  if (added.length) lines.push(`追加 (${added.length}): ${added.join(' ')}`);
+  if (removed.length) lines.push(`削除 (${removed.length}): ${removed.join(' ')}`);
+  if (baseChanged.length) lines.push(`基礎点の変更 (${baseChanged.length}):`, ...baseChanged.map(s => `  ${s}`));
+  if (goeChanged.length) lines.push(`GOEのみ変更 (${goeChanged.length}): ${goeChanged.join(' ')}`);
+  if (lines.length === 0) lines.push('前シーズンとの差はありません');
+  return lines;
+}
+
+async function readJSON(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function defaultPrevFile(discipline) {
+  const manifest = await readJSON(path.join(root, 'sov_manifest.json'));
+  const entry = manifest.seasons.find(s => s.id === manifest.default) || manifest.seasons[manifest.seasons.length - 1];
+  const file = discipline === 'dance' ? entry?.dance : entry?.file;
+  return file ? path.join(root, file) : null;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const log = opts.out ? console.log : console.error;
+  const ext = path.extname(opts.input).toLowerCase();
+  const format = ext === '.csv' ? 'csv' : ext === '.tsv' ? 'tsv' : 'text';
+
+  const { elements, renamed, duplicates } = convert(await readFile(opts.input, 'utf8'), format);
+  const count = Object.keys(elements).length;
+  if (count === 0) throw new Error(`要素が見つかりません: ${opts.input}`);
+  const data = {
+    meta: { source: opts.source || '', ...(opts.discipline && { discipline: opts.discipline }), converted_from: path.basename(opts.input) },
+    elements,
+    columns: COLUMNS
+  };
+
+  log(`${count} 要素を読み込みました (${path.basename(opts.input)})`);
+  renamed.forEach(([from, to]) => log(`[fix]   ${from} → ${to}`));
+  duplicates.forEach(code => log(`[warn]  ${code}: 値の異なる行が複数あります（最後の行を使用）`));
+
+  const report = checkSOV(data);
+  formatSOVReport(report, path.basename(opts.out || opts.input)).forEach(line => log(line));
+
+  const prevFile = opts.prev || await defaultPrevFile(opts.discipline);
+  if (prevFile) {
+    log(`\n差分: ${path.basename(prevFile)} → ${path.basename(opts.out || opts.input)}`);
+    diffSOV(await readJSON(prevFile), data).forEach(line => log(line));
+  }
+
+  const json = serialize(data);
+  if (opts.out) await writeFile(opts.out, json);
+  else process.stdout.write(json);
+  process.exitCode = report.errors.length ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
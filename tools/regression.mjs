@@ -0,0 +1,632 @@
+// tools/regression.mjs - 採点エンジンの回帰テスト
+// 使い方: node tools/regression.mjs [プロトコルJSON ...]
+// 引数なしの場合は tools/protocols/*.json をすべて検証する（小数第2位まで一致を確認）
+// *.txt は ISU「Judges Details per Skater」のテキストとして取り込み、記載の公表値と比較する
+// source はケースの出所: { kind: 'computed', sov, note }（SOVからの手計算値）または { kind: 'published', event, segment, skater }（公表されたプロトコルの転記）
+// .txt は1行目の「source: computed …」「source: published」で示す（published なら大会・セグメント・選手はテキストの見出しから読む）
+// 今あるケースはすべて手計算値。公表されたプロトコルを加えるときは公表値（合計・要素の点）を書き換えない
+// あわせて、SOVの整合性チェック（sovcheck.js）にエラーが無いこと、SOVの要素コードとプロトコル表記が notation.js で往復できること、
+// 過去の版の共有リンクが今も同じ点に復元されること（壊れたリンクの値は範囲内に収めるか拒否すること）、書き出し（export.js）の要素コードとCSVの値、
+// スピン・ステップのレベルの判定（levels.js）、GOEのガイドからの最終GOE（goeguide.js）、
+// 操作履歴（history.js）、ライブラリの保存・複製・名前の変更・削除と保存容量の超過（library.js）、大会の順位と滑走順（competition.js）、
+// 目標点からの逆算（target.js）、SOVの表の変換（tools/convert-sov.mjs。tools/fixtures のサンプル）を確認する
+
+import { readFile, readdir } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { loadSOV, setManifest, getElementCodes, getSOVReport, hasSeason, danceSOVKey } from '../basevalues.js';
+import { computeProgram, compareSeasons, getPartCode } from '../engine.js';
+import { parsePart, parseElement, formatElement, formatPart } from '../notation.js';
+import { parseJudgesDetails, compareWithPublished } from '../protocol.js';
+import { decodeShareFragment } from '../share.js';
+import { buildProtocol, toCSV, toStartListCSV } from '../export.js';
+import { evaluateSpinLevel, evaluateStepLevel } from '../levels.js';
+import { computeGOEFromGuide } from '../goeguide.js';
+import { createHistory, historySnapshot } from '../history.js';
+import { computeStandings, reverseStartOrder, listCompetitions, saveCompetition } from '../competition.js';
+import { listPrograms, getProgram, saveProgram, duplicateProgram, renameProgram, deleteProgram } from '../library.js';
+import { solveTarget } from '../target.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(here, '..');
+
+async function readJSON(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function same(a, b) {
+  return Math.round(a * 100) === Math.round(b * 100);
+}
+
+function check(protocol) {
+  const res = computeProgram(protocol.program);
+  const exp = protocol.expected;
+  const errors = checkSource(protocol.source);
+
+  if (res.elements.length !== exp.elements.length) {
+    errors.push(`element count: got ${res.elements.length}, expected ${exp.elements.length}`);
+  }
+  exp.elements.forEach((e, i) => {
+    const r = res.elements[i];
+    if (!r) return;
+    const label = `#${i + 1} ${e.display ?? r.display}`;
+    if (e.display !== undefined && e.display !== r.display) errors.push(`${label}: display "${r.display}"`);
+    if (!same(r.totalBV, e.bv)) errors.push(`${label}: BV ${r.totalBV.toFixed(2)} != ${e.bv.toFixed(2)}`);
+    if (!same(r.goeValue, e.goe)) errors.push(`${label}: GOE ${r.goeValue.toFixed(2)} != ${e.goe.toFixed(2)}`);
+    if (!same(r.totalScore, e.score)) errors.push(`${label}: score ${r.totalScore.toFixed(2)} != ${e.score.toFixed(2)}`);
+  });
+  for (const key of ['tes', 'pcs', 'tss']) {
+    if (exp[key] !== undefined && !same(res[key], exp[key])) {
+      errors.push(`${key.toUpperCase()} ${res[key].toFixed(2)} != ${exp[key].toFixed(2)}`);
+    }
+  }
+  return errors;
+}
+
+// 出所の記載: 公表されたプロトコルは大会・セグメント・選手が揃っていること
+function checkSource(source) {
+  if (source?.kind === 'computed') return source.sov ? [] : ['source: computed without the SOV it was computed from'];
+  if (source?.kind === 'published') {
+    return ['event', 'segment', 'skater'].filter(key => !source[key]).map(key => `source: published without ${key}`);
+  }
+  return [`source: kind must be "computed" or "published" (got ${JSON.stringify(source?.kind ?? source)})`];
+}
+
+// .txt の1行目「source: computed …」/「source: published」と、見出し（2行目の大会名・セグメント・選手）から source を組み立てる
+function judgesDetailsSource(text, imported) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const m = /^source:\s*(\S+)\s*(.*)$/i.exec(lines[0] || '');
+  if (!m) return null;
+  if (m[1] !== 'published') return { kind: m[1], sov: m[2] };
+  return { kind: 'published', event: lines[1], segment: imported.program.segment, skater: imported.skater?.name };
+}
+
+function checkJudgesDetails(text) {
+  const imported = parseJudgesDetails(text);
+  const res = computeProgram(imported.program);
+  const cmp = compareWithPublished(res, imported.published);
+  const source = judgesDetailsSource(text, imported);
+  const errors = checkSource(source).concat(imported.warnings);
+  if (res.elements.length !== imported.published.elements.length) {
+    errors.push(`element count: got ${res.elements.length}, expected ${imported.published.elements.length}`);
+  }
+  cmp.elements.forEach((c, i) => {
+    const label = `#${i + 1} ${imported.published.elements[i]?.display ?? res.elements[i].display}`;
+    for (const key of ['bv', 'goe', 'score']) {
+      if (!c[key].ok) errors.push(`${label}: ${key} ${c[key].computed.toFixed(2)} != ${c[key].published.toFixed(2)}`);
+    }
+  });
+  for (const [key, t] of Object.entries(cmp.totals)) {
+    if (!t.ok) errors.push(`${key.toUpperCase()} ${t.computed.toFixed(2)} != ${t.published.toFixed(2)}`);
+  }
+  return { name: imported.skater ? `${imported.skater.name} (${imported.program.segment})` : null, source, errors };
+}
+
+// 表記 → パーツ → 表記 が一致すること（SOVコードはコードとしても一致すること）
+const NOTATION_SAMPLES = ['4Lz!q+3T<', '3A+1Eu+3S<<', '3F*+REP', '3Lzqb+2T  x', 'FCCoSp4V', 'CCSpB*', 'StSq3', 'ChSq1*', 'Lz',
+  '3T+2A+SEQ  x', '3LzTh<', '3Tw4', '5ALi4*', 'BoDs3', 'PCoSp4V', 'PiF2',
+  'SyTwW4+SyTwM3', 'StaLi4+RoLi4', '1MB3+kpYYNY', 'MiStW2*+MiStM3*', 'ChLi1', 'Sp3'];
+
+function checkNotation() {
+  const errors = [];
+  const dance = danceSOVKey();
+  for (const code of [...getElementCodes(), ...(hasSeason(dance) ? getElementCodes(dance) : [])]) {
+    let p;
+    try { p = parsePart(code); }
+    catch { continue; }
+    if (getPartCode(p) !== code) errors.push(`${code}: code "${getPartCode(p)}"`);
+    if (formatPart(p) !== code) errors.push(`${code}: display "${formatPart(p)}"`);
+  }
+  for (const text of NOTATION_SAMPLES) {
+    const out = formatElement(parseElement(text));
+    if (out !== text) errors.push(`${text}: display "${out}"`);
+  }
+  return errors;
+}
+
+// 版ごとに1つ、実際に発行したリンクを固定で持つ（形式を変えても消さない）
+const SHARE_LINKS = [
+  { title: 'p1: Senior Women Short Program (9-judge panel)', fragment: '#p1.eyJzIjoic2VuaW9yLXdvbWVuLXNwIiwiZSI6WyI0VEAyLDMsMiwyLDMsMSwyLDMsMiIsIjNMeiszVEAxLDIsMSwwLDIsMSwxLDIsMSIsIkZDU3A0QDMsMywyLDQsMywyLDMsMyw0IiwiM0YhQC0xLDAsLTEsLTIsMCwtMSwwLC0xLC0xIiwiQ0NvU3AzVkAxLDAsMSwxLDIsMCwxLDEsMCIsIlN0U3E0QDMsNCwzLDMsMiwzLDQsMywzIiwiRlNTcDRAMiwyLDMsMiwxLDIsMiwzLDIiXSwiYyI6W1s4LjUsOC43NSw4LjI1LDguNSw5LDguNSw4LjI1LDguNzUsOC41XSxbOC4yNSw4LjUsOCw4Ljc1LDguNSw4LjI1LDgsOC41LDguMjVdLFs4Ljc1LDksOC41LDguNzUsOS4yNSw4LjUsOC43NSw5LDguNzVdXSwiZiI6WzEuMzMsMS4zMywxLjMzXSwiaiI6MCwiZmwiOjAsImQiOjB9', tss: 77.43 }
+];
+
+function checkShareLinks() {
+  const errors = [];
+  for (const link of SHARE_LINKS) {
+    try {
+      const res = computeProgram(decodeShareFragment(link.fragment));
+      if (!same(res.tss, link.tss)) errors.push(`${link.title}: TSS ${res.tss.toFixed(2)} != ${link.tss.toFixed(2)}`);
+    } catch (err) {
+      errors.push(`${link.title}: ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+// 書き出し: 要素コードは +SEQ / +REP を含みボーナスの x を含まない。CSVの文字列は数式として解釈されない
+function checkExport() {
+  const errors = [];
+  const elements = ['3Lz', '3F', '2A', '3Lo', '3S', '3T+2A+SEQ', '3Lz'].map(text => parseElement(text));
+  const protocol = buildProtocol({ segment: 'senior-women-fs', elements, pcs: { co: 7, pr: 7, ss: 7 } }, { title: '=HYPERLINK("x")' });
+  const codes = protocol.elements.slice(4).map(e => `${e.code}${e.bonus ? ' (x)' : ''}`).join(', ');
+  if (codes !== '3S (x), 3T+2A+SEQ (x), 3Lz+REP (x)') errors.push(`codes: ${codes}`);
+  const csv = toCSV(protocol);
+  if (!csv.includes('"\'=HYPERLINK(""x"")"')) errors.push('CSV: title is not escaped as text');
+  const event = { name: '@SUM(A1)', entries: [{ name: '-2+3', nation: '+JPN', startOrder: { 'senior-women-fs': 1 } }] };
+  const start = toStartListCSV(event, 'senior-women-fs').split('\r\n');
+  if (start[1] !== "'@SUM(A1),シニア女子 FS" || start[4] !== "1,'-2+3,'+JPN") errors.push(`start list: ${start[1]} / ${start[4]}`);
+  const negative = toCSV(buildProtocol({ segment: 'senior-women-sp', elements: [[{ ...parseElement('3F')[0], judges: [-2, -1, -2] }]] })).split('\r\n')[4];
+  if (negative !== '1,3F,,5.83,x,-1.06,-2,-1,-2,4.77') errors.push(`negative values: ${negative}`);
+  return errors;
+}
+
+// 壊れた・書き換えられたリンク: ジャッジ数とGOEは範囲内に収め、不正な件数は例外、未知の減点は無視する
+const BAD_SHARE_PAYLOADS = [
+  { title: 'judge count 12', payload: { s: 'senior-women-sp', e: ['3F'], j: 12 }, judgeCount: 9 },
+  { title: 'judge count 2', payload: { s: 'senior-women-sp', e: ['3F'], j: 2 }, judgeCount: 3 },
+  { title: 'judge count -4', payload: { s: 'senior-women-sp', e: ['3F'], j: -4 }, judgeCount: 0 },
+  { title: 'judge count "x"', payload: { s: 'senior-women-sp', e: ['3F'], j: 'x' }, judgeCount: 0 },
+  { title: 'GOE ~9', payload: { s: 'senior-women-sp', e: ['3F~9', '2A~-12'] }, goe: [5, -5] },
+  { title: 'judges @7,-9', payload: { s: 'senior-women-sp', e: ['3F@7,-9,'] }, judges: [[5, -5, null]] },
+  { title: 'unknown deduction key', payload: { s: 'senior-women-sp', e: ['3F'], dd: { time: 1, bonus: -5, other: 3 } }, deductions: { time: 1 } },
+  { title: 'negative element falls', payload: { s: 'senior-women-sp', e: ['3F'], ef: [-1] }, throws: true },
+  { title: 'fractional element falls', payload: { s: 'senior-women-sp', e: ['3F'], ef: [0.5] }, throws: true },
+  { title: 'negative deduction count', payload: { s: 'senior-women-sp', e: ['3F'], dd: { time: -2 } }, throws: true },
+  { title: 'string deduction count', payload: { s: 'senior-women-sp', e: ['3F'], dd: { costume: '1' } }, throws: true },
+  { title: 'negative falls', payload: { s: 'senior-women-sp', e: ['3F'], fl: -1 }, throws: true },
+  { title: 'PCS mark 12', payload: { s: 'senior-women-sp', e: ['3F'], c: [12, 8, 8] }, throws: true },
+  { title: 'PCS mark 0.1', payload: { s: 'senior-women-sp', e: ['3F'], c: [8, 0.1, 8] }, throws: true },
+  { title: 'PCS mark "8"', payload: { s: 'senior-women-sp', e: ['3F'], c: [8, 8, '8'] }, throws: true },
+  { title: 'PCS judge mark -1', payload: { s: 'senior-women-sp', e: ['3F'], c: [[8, 8.25, -1], 8, 8] }, throws: true },
+  { title: 'PCS judge mark "x"', payload: { s: 'senior-women-sp', e: ['3F'], c: [8, [8, 'x', 8], 8] }, throws: true },
+  { title: 'PCS judge marks with blanks', payload: { s: 'senior-women-sp', e: ['3F'], c: [[8, null, 8.5], 0, 10], f: [1.33, null, 1.33] }, pcs: { factors: { co: 1.33, ss: 1.33 }, co: [8, null, 8.5], pr: 0, ss: 10 } },
+  { title: 'PCS factor "x"', payload: { s: 'senior-women-sp', e: ['3F'], c: [8, 8, 8], f: ['x', 1.33, 1.33] }, throws: true },
+  { title: 'PCS factor -1.33', payload: { s: 'senior-women-sp', e: ['3F'], c: [8, 8, 8], f: [1.33, -1.33, 1.33] }, throws: true },
+  { title: 'PCS factor 0', payload: { s: 'senior-women-sp', e: ['3F'], c: [8, 8, 8], f: [1.33, 1.33, 0] }, throws: true },
+  { title: 'not an object', payload: 5, throws: true }
+];
+
+function checkShareDecoder() {
+  const errors = [];
+  for (const c of BAD_SHARE_PAYLOADS) {
+    const fragment = `#p1.${Buffer.from(JSON.stringify(c.payload)).toString('base64url')}`;
+    let program;
+    try {
+      program = decodeShareFragment(fragment);
+    } catch (err) {
+      if (!c.throws) errors.push(`${c.title}: ${err.message}`);
+      continue;
+    }
+    if (c.throws) { errors.push(`${c.title}: decoded without an error`); continue; }
+    if ('judgeCount' in c && program.judgeCount !== c.judgeCount) errors.push(`${c.title}: judgeCount ${program.judgeCount}`);
+    if (c.goe && JSON.stringify(program.elements.map(parts => parts[0].goe)) !== JSON.stringify(c.goe)) errors.push(`${c.title}: GOE ${program.elements.map(parts => parts[0].goe)}`);
+    if (c.judges && JSON.stringify(program.elements.map(parts => parts[0].judges)) !== JSON.stringify(c.judges)) errors.push(`${c.title}: judges ${JSON.stringify(program.elements.map(parts => parts[0].judges))}`);
+    if (c.deductions && JSON.stringify(program.deductions) !== JSON.stringify(c.deductions)) errors.push(`${c.title}: deductions ${JSON.stringify(program.deductions)}`);
+    if (c.pcs && JSON.stringify(program.pcs) !== JSON.stringify(c.pcs)) errors.push(`${c.title}: PCS ${JSON.stringify(program.pcs)}`);
+  }
+  return errors;
+}
+
+// シーズン比較: 2025-26 のSOVの 3A（と同じ基礎点の 3Ab / 3Aq / 3Aqb）だけを変えたテスト用のシーズン（基礎点 8.50、GOEの1段階 0.85）と比べる
+// 変えた要素だけに差が出ること、ボーナス（x）がそれぞれのシーズンの基礎点に掛かること、PCSは変わらないことを確かめる
+const COMPARE_SEASON = 'test-3a-850';
+
+function checkCompareSeasons(data, season) {
+  const derived = JSON.parse(JSON.stringify(data));
+  const row = { base: 8.5, goe: Object.fromEntries(Object.keys(data.elements['3A'].goe).map(k => [k, k === 'BASE' ? 8.5 : round(0.85 * Number(k))])) };
+  for (const code of ['3A', '3Ab', '3Aq', '3Aqb']) derived.elements[code] = row;
+  loadSOV(derived, COMPARE_SEASON);
+  const program = {
+    segment: 'senior-men-sp',
+    elements: [parseElement('4T+3T'), parseElement('FCSp4'), parseElement('StSq4'), parseElement('CSSp4'), parseElement('CCoSp4'), parseElement('4S'), parseElement('3A')]
+      .map(parts => { parts[0].goe = 2; return parts; }),
+    pcs: { co: 9, pr: 9, ss: 9 }
+  };
+  const cmp = compareSeasons(program, season, COMPARE_SEASON);
+  const errors = [];
+  const got = cmp.elements.map(e => `${e.display} ${e.a.toFixed(2)}/${e.b.toFixed(2)}/${e.diff.toFixed(2)}`);
+  const changed = got.filter((_, i) => cmp.elements[i].diff !== 0);
+  if (changed.join(', ') !== '3A  x 10.40/11.05/0.65') errors.push(`changed elements: ${changed.join(', ') || 'none'}`);
+  if (!same(cmp.diff.tes, 0.65) || !same(cmp.diff.tss, 0.65) || cmp.diff.pcs !== 0) errors.push(`diff: ${JSON.stringify(cmp.diff)}`);
+  if (cmp.a.season !== season || cmp.b.season !== COMPARE_SEASON) errors.push(`seasons: ${cmp.a.season} / ${cmp.b.season}`);
+  return errors;
+}
+
+function round(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// スピン・ステップのレベルの特徴: { title, spin（無ければステップ）, checks, lod, rejected: 数えられない特徴のキー }
+const LEVEL_CASES = [
+  { title: 'USp edge without a difficult variation', spin: { name: 'USp' }, checks: { edge: true, speed: true }, lod: '1', rejected: ['edge'] },
+  { title: 'USp edge in a difficult variation', spin: { name: 'USp' }, checks: { dv: 1, edge: true, speed: true }, lod: '3', rejected: [] },
+  { title: 'LSp acceleration', spin: { name: 'LSp' }, checks: { dv: 1, speed: true, revolutions: true }, lod: '2', rejected: ['speed'] },
+  { title: 'SSp 8 revolutions without a difficult variation', spin: { name: 'SSp' }, checks: { edge: true, revolutions: true }, lod: '1', rejected: ['revolutions'] },
+  { title: 'CCoSp two difficult variations at most', spin: { name: 'CoSp', cof: true }, checks: { dv: 3, footJump: true }, lod: '3', rejected: ['dv'] },
+  { title: 'CSp more than four features', spin: { name: 'CSp' }, checks: { dv: 1, entrance: true, edge: true, directions: true, speed: true }, lod: '4', rejected: ['speed'] },
+  { title: 'FSSp change of foot without C', spin: { name: 'SSp', fly: true }, checks: { footJump: true, entrance: true }, lod: '1', rejected: ['footJump'] },
+  { title: 'spin basic requirements not met', spin: { name: 'CSp' }, checks: { basic: false, dv: 1, edge: true }, lod: '0', rejected: ['dv', 'edge'] },
+  { title: 'StSq 9 turns caps at level 3', checks: { turns: 9, rotations: true, body: true, clusters: true }, lod: '3', rejected: ['clusters'] },
+  { title: 'StSq 11 turns and all features', checks: { turns: 11, rotations: true, body: true, clusters: true }, lod: '4', rejected: [] },
+  { title: 'StSq 4 turns', checks: { turns: 4, body: true }, lod: 'B', rejected: ['turns', 'body'] }
+];
+
+function checkLevels() {
+  const errors = [];
+  for (const c of LEVEL_CASES) {
+    const res = c.spin ? evaluateSpinLevel(c.spin, c.checks) : evaluateStepLevel(c.checks);
+    const rejected = [...new Set(res.rejected.map(f => f.key))];
+    if (res.lod !== c.lod) errors.push(`${c.title}: level ${res.lod} != ${c.lod}`);
+    if (rejected.join(',') !== c.rejected.join(',')) errors.push(`${c.title}: rejected ${rejected.join(',') || 'none'} != ${c.rejected.join(',') || 'none'}`);
+  }
+  return errors;
+}
+
+// GOEのガイド: { title, kind, bullets, errors, flags（ジャンプのパーツ）, goe }
+const ALL_BULLETS = [0, 1, 2, 3, 4, 5];
+const GOE_GUIDE_CASES = [
+  { title: 'no bullets', kind: 'jump', bullets: [], goe: 0 },
+  { title: '1 bullet', kind: 'jump', bullets: [3], goe: 1 },
+  { title: '2 bullets', kind: 'jump', bullets: [0, 1], goe: 1 },
+  { title: '3 bullets', kind: 'jump', bullets: [0, 1, 2], goe: 2 },
+  { title: '4 bullets', kind: 'jump', bullets: [0, 1, 2, 3], goe: 3 },
+  { title: '5 bullets', kind: 'jump', bullets: [0, 1, 2, 3, 4], goe: 4 },
+  { title: '6 bullets', kind: 'jump', bullets: ALL_BULLETS, goe: 5 },
+  { title: '5 bullets without the first key bullet', kind: 'jump', bullets: [1, 2, 3, 4, 5], goe: 3 },
+  { title: '5 bullets without the third key bullet', kind: 'spin', bullets: [0, 1, 3, 4, 5], goe: 3 },
+  { title: 'under-rotation caps at 0', kind: 'jump', bullets: ALL_BULLETS, flags: [{ ur: true }], goe: 0 },
+  { title: 'downgrade caps at -1', kind: 'jump', bullets: [0, 1, 2, 3], flags: [{ dg: true }], goe: -1 },
+  { title: 'wrong edge caps at -1', kind: 'jump', bullets: ALL_BULLETS, flags: [{ edge: true }], goe: -1 },
+  { title: 'unclear edge is not capped', kind: 'jump', bullets: ALL_BULLETS, flags: [{ attention: true }], goe: 4 },
+  { title: 'combination flag on the second jump', kind: 'jump', bullets: [0, 1, 2], flags: [{}, { ur: true }], goe: 0 },
+  { title: 'fall forces -5', kind: 'jump', bullets: ALL_BULLETS, errors: { fall: -5 }, goe: -5 },
+  { title: 'reduction kept within its range', kind: 'spin', bullets: [0, 1, 2], errors: { touchDown: -5 }, goe: 0 },
+  { title: 'reductions sum below -5', kind: 'seq', bullets: [], errors: { stumble: -2, poorQuality: -3, pattern: -3 }, goe: -5 }
+];
+
+function checkGOEGuide() {
+  const errors = [];
+  for (const c of GOE_GUIDE_CASES) {
+    const res = computeGOEFromGuide(c.kind, { bullets: c.bullets, errors: c.errors }, c.flags);
+    if (res.goe !== c.goe) errors.push(`${c.title}: GOE ${res.goe} != ${c.goe} (${res.notes.join(' / ')})`);
+  }
+  return errors;
+}
+
+// 操作履歴: 元に戻す / やり直し、同じ内容の省略、やり直しの破棄、件数の上限、保存と復元
+function checkHistory() {
+  const errors = [];
+  const expect = (title, got, want) => {
+    if (JSON.stringify(got) !== JSON.stringify(want)) errors.push(`${title}: ${JSON.stringify(got)} != ${JSON.stringify(want)}`);
+  };
+  const snap = n => historySnapshot({ elements: [parseElement(`${n}T`)], pcs: { co: n } });
+  const mark = step => step && step.snapshot.pcs.co;
+
+  const history = createHistory();
+  history.record('load', snap(1));
+  expect('duplicate snapshot', history.record('same', snap(1)), false);
+  history.record('add 2', snap(2));
+  history.record('add 3', snap(3));
+  expect('undo labels', [history.undoLabel(), history.redoLabel()], ['add 3', null]);
+  const undone = history.undo();
+  expect('undo', [undone.label, mark(undone)], ['add 3', 2]);
+  expect('redo label', history.redoLabel(), 'add 3');
+  const redone = history.redo();
+  expect('redo', [redone.label, mark(redone)], ['add 3', 3]);
+  history.undo();
+  history.undo();
+  expect('undo to the first entry', [history.canUndo(), history.undo()], [false, null]);
+  history.record('add 4', snap(4));
+  expect('record after undo drops redo', [history.canRedo(), mark(history.undo())], [false, 1]);
+  expect('snapshot keeps the program parts with segment, season and judge count',
+    historySnapshot({ season: '2025-26', segment: 'senior-men-sp', judgeCount: 9, elements: [], label: 'x', history: {} }),
+    { segment: 'senior-men-sp', season: '2025-26', judgeCount: 9, elements: [], pcs: {}, falls: 0, deductions: {}, deduct: 0 });
+  const loaded = createHistory();
+  loaded.record('load', historySnapshot({ season: '2025-26', segment: 'senior-men-sp', judgeCount: 0, elements: [] }));
+  loaded.record('load', historySnapshot({ season: '2025-26', segment: 'senior-women-fs', judgeCount: 9, elements: [] }));
+  const beforeLoad = loaded.undo()?.snapshot;
+  expect('undoing a load restores segment and judge count', [beforeLoad?.segment, beforeLoad?.judgeCount], ['senior-men-sp', 0]);
+
+  const limited = createHistory({ limit: 3 });
+  [1, 2, 3, 4, 5].forEach(n => limited.record(`add ${n}`, snap(n)));
+  expect('limit keeps the newest entries', [mark(limited.undo()), mark(limited.undo()), limited.undo()], [4, 3, null]);
+
+  const saved = createHistory();
+  [1, 2, 3].forEach(n => saved.record(`add ${n}`, snap(n)));
+  saved.undo();
+  const restored = createHistory(JSON.parse(JSON.stringify(saved.toJSON())));
+  expect('restored position', [restored.undoLabel(), restored.redoLabel()], ['add 2', 'add 3']);
+
+  const entries = [1, 2, 3, 4].map(n => ({ label: `add ${n}`, snapshot: snap(n) }));
+  expect('saved index out of range', [createHistory({ entries, index: -7 }).canUndo(), createHistory({ entries, index: 99 }).redoLabel()], [false, null]);
+  expect('saved index after trimming', createHistory({ entries, index: 2, limit: 2 }).toJSON().index, 0);
+  return errors;
+}
+
+// 大会の順位: SPの同点はTES、FSの同点はPCS、総合の同点はFSの順位。FSの無い選手は後ろにSPの順位で並び、SPの無い選手は総合に入らない
+// プログラムはジャンプ以外の要素（GOE 0。ボーナスが付かない）とPCS（係数1の co のみ）で点を決める
+function standingsProgram(codes, pcs, season) {
+  return { season, elements: codes.map(code => parseElement(code)), pcs: { co: pcs, pr: 0, ss: 0, factors: { co: 1, pr: 1, ss: 1 } } };
+}
+
+function checkStandings() {
+  const errors = [];
+  const expect = (title, got, want) => {
+    if (JSON.stringify(got) !== JSON.stringify(want)) errors.push(`${title}: ${JSON.stringify(got)} != ${JSON.stringify(want)}`);
+  };
+  const entry = (id, sp, fs) => ({ id, name: id, nation: 'JPN', startOrder: {}, programs: { ...(sp && { 'senior-women-sp': sp }), ...(fs && { 'senior-women-fs': fs }) } });
+  const event = {
+    category: 'senior-women',
+    entries: [
+      entry('A', standingsProgram(['StSq3'], 26.7), standingsProgram(['StSq3'], 40.9)), // SP 30.00（TES 3.30）/ FS 44.20（PCS 40.90）
+      entry('B', standingsProgram(['StSq4'], 26.1), standingsProgram(['StSq4'], 40.3)), // SP 30.00（TES 3.90）/ FS 44.20（PCS 40.30）
+      entry('C', standingsProgram([], 20), standingsProgram([], 20)),
+      entry('D', standingsProgram([], 10)),
+      entry('E', standingsProgram(['StSq3'], 26.7)),                                    // SPはAと同点（TESも同じ）
+      entry('F', null, standingsProgram([], 10)),
+      entry('G', standingsProgram([], 50, 'no-such-season'))
+    ]
+  };
+  const { segments, overall } = computeStandings(event);
+  const places = results => results.map(r => `${r.entry.id}${r.place}`).join(' ');
+  expect('SP places (ties by TES)', places(segments[0].results), 'B1 A2 E2 C4 D5');
+  expect('SP errors', segments[0].errors.map(e => e.entry.id), ['G']);
+  expect('FS places (ties by PCS)', places(segments[1].results), 'A1 B2 C3 F4');
+  expect('overall places (ties by FS)', places(overall), 'A1 B2 C3 E4 D5');
+  expect('overall totals', overall.map(r => r.total), [74.2, 74.2, 40, 30, 10]);
+  expect('partial entries', overall.map(r => r.complete), [true, true, true, false, false]);
+  expect('FS start order (reverse of SP, entries without an SP result first)', reverseStartOrder(event, 'senior-women-sp'),
+    { F: 1, G: 2, D: 3, C: 4, E: 5, A: 6, B: 7 });
+  return errors;
+}
+
+// ライブラリ（library.js）: メモリ上の localStorage で保存・読み込み・複製・名前の変更・削除を往復し、
+// 容量を超えた書き込みは例外になって保存済みの内容が変わらないこと（大会の保存も同じ）
+function memoryStorage() {
+  const items = new Map();
+  return {
+    quota: Infinity,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      if (String(value).length > this.quota) {
+        const err = new Error('The quota has been exceeded.');
+        err.name = 'QuotaExceededError';
+        throw err;
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => { items.delete(key); }
+  };
+}
+
+function checkLibrary() {
+  const errors = [];
+  const expect = (title, got, want) => {
+    if (JSON.stringify(got) !== JSON.stringify(want)) errors.push(`${title}: ${JSON.stringify(got)} != ${JSON.stringify(want)}`);
+  };
+  const expectThrow = (title, fn, re) => {
+    try { fn(); errors.push(`${title}: no error`); }
+    catch (err) { if (!re.test(err.message)) errors.push(`${title}: ${err.message}`); }
+  };
+  const previous = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+  const store = memoryStorage();
+  Object.defineProperty(globalThis, 'localStorage', { value: store, configurable: true, writable: true });
+  try {
+    const program = { segment: 'senior-women-sp', elements: [parseElement('3Lz+3T')], pcs: { co: 8, pr: 8, ss: 8 }, falls: 0, deductions: {}, deduct: 0 };
+    const a = saveProgram({ name: ' SP ', skater: 'A', season: '2025-26', program });
+    expect('saved fields', [a.name, a.skater, a.segment, a.season], ['SP', 'A', 'senior-women-sp', '2025-26']);
+    expect('loaded program', getProgram(a.id).program, program);
+    const b = saveProgram({ name: '', program: { ...program, segment: 'senior-women-fs' } });
+    expect('default name', b.name, '無題のプログラム');
+    const overwritten = saveProgram({ ...getProgram(a.id), notes: 'memo' });
+    expect('overwrite keeps id and createdAt', [overwritten.id, overwritten.createdAt, listPrograms().length], [a.id, a.createdAt, 2]);
+    const copy = duplicateProgram(a.id);
+    expect('duplicate', [copy.id !== a.id, copy.name, copy.notes, listPrograms().length], [true, 'SP のコピー', 'memo', 3]);
+    expect('rename', renameProgram(copy.id, 'SP 2').name, 'SP 2');
+    deleteProgram(b.id);
+    expect('delete', listPrograms().map(e => e.name).sort(), ['SP', 'SP 2']);
+    expect('missing entry', getProgram(b.id), null);
+    expectThrow('duplicate a missing entry', () => duplicateProgram(b.id), /見つかりません/);
+
+    // 容量の超過: 例外になり、保存済みの内容は変わらない
+    store.quota = store.getItem('figure-skating-score.library.v1').length;
+    expectThrow('library over quota', () => saveProgram({ name: 'big', program }), /保存容量/);
+    expectThrow('duplicate over quota', () => duplicateProgram(a.id), /保存容量/);
+    expect('library after quota errors', listPrograms().map(e => e.name).sort(), ['SP', 'SP 2']);
+    store.quota = 0;
+    expectThrow('competition over quota', () => saveCompetition({ name: 'Cup', category: 'senior-women', entries: [] }), /大会を保存できませんでした（ブラウザの保存容量/);
+    expect('competitions after quota error', listCompetitions(), []);
+  } finally {
+    if (previous) Object.defineProperty(globalThis, 'localStorage', previous);
+    else delete globalThis.localStorage;
+  }
+  return errors;
+}
+
+// 目標点からの逆算: 平均GOEは段階の間を直線で補い小数第2位に切り上げる、転倒した要素のGOEは変えない、転倒の余裕は GOE -5 と転倒の減点
+// StSq4（3.90、GOE 1段階 0.39）+ CCoSp4（3.50、0.35）、PCSは係数1で 27.00
+function targetProgram(codes) {
+  return { segment: 'senior-men-sp', elements: codes.map(code => parseElement(code)), pcs: { co: 9, pr: 9, ss: 9, factors: { co: 1, pr: 1, ss: 1 } } };
+}
+
+function checkTarget() {
+  const errors = [];
+  const expect = (title, got, want) => {
+    if (JSON.stringify(got) !== JSON.stringify(want)) errors.push(`${title}: ${JSON.stringify(got)} != ${JSON.stringify(want)}`);
+  };
+  const program = targetProgram(['StSq4', 'CCoSp4']);
+  const between = solveTarget(program, { mode: 'tes', target: 7.62 });
+  expect('grades around the target', between.averageGOE.grades.filter(g => g.goe === 0 || g.goe === 1).map(g => g.score), [7.4, 8.14]);
+  expect('GOE between grades (0.22 / 0.74)', between.averageGOE.goe, 0.3);
+  expect('GOE on a grade', solveTarget(program, { mode: 'tes', target: 8.14 }).averageGOE.goe, 1);
+  expect('target below GOE -5', solveTarget(program, { mode: 'tes', target: 1 }).averageGOE.goe, -5);
+  const unreachable = solveTarget(program, { mode: 'tes', target: 20 }).averageGOE;
+  expect('target above GOE +5', [unreachable.goe, unreachable.reachable], [null, false]);
+
+  const total = solveTarget(program, { mode: 'total', target: 40, previous: 10 });
+  expect('total: need and margin', [total.need, total.current.score, total.current.margin], [30, 34.4, 4.4]);
+  expect('fall margins (GOE -5 and the 1.00 fall deduction)', total.falls.map(f => [f.display, f.loss, f.margin]), [['StSq4', 2.95, 1.45], ['CCoSp4', 2.75, 1.65]]);
+
+  // 転倒した 3T<（GOE 0 のまま）は平均GOEで動かさない: StSq4 だけで 1.40 を 0.39 ずつ → 3.59
+  const fallen = targetProgram(['3T<', 'StSq4']);
+  fallen.elements[0][0].fall = 1;
+  const res = solveTarget(fallen, { mode: 'tes', target: 9 });
+  expect('fallen element keeps its GOE', [res.current.score, res.averageGOE.goe], [7.6, 3.59]);
+  const upgrade = kind => res.upgrades.find(u => u.index === 0 && u.kind === kind);
+  expect('rotation upgrade', [upgrade('rotation')?.to, upgrade('rotation')?.gain, upgrade('rotation')?.reaches], ['4T<  x', 4.66, true]);
+  expect('clean upgrade', [upgrade('clean')?.to, upgrade('clean')?.gain, upgrade('clean')?.reaches], ['3T  x', 0.92, false]);
+  expect('upgrades that reach come first, smallest gain first', res.upgrades.map(u => u.reaches), [true, true, true, false]);
+  expect('reaching upgrades by gain', res.upgrades.filter(u => u.reaches).map(u => u.gain), [1.56, 1.68, 4.66]);
+  return errors;
+}
+
+// SOVに表の無い種目（ペアの表の無いペア、ダンス用SOVの無いアイスダンス）は採点しない（要素を0点にして計算を続けない）
+function checkDisciplines() {
+  const errors = [];
+  try {
+    computeProgram({ segment: 'senior-pairs-fs', elements: [parseElement('3LzTh')], pcs: {} });
+    errors.push('senior-pairs-fs: scored without the pairs table in the SOV');
+  } catch (err) {
+    if (!/ペアの要素/.test(err.message)) errors.push(`senior-pairs-fs: ${err.message}`);
+  }
+  // アイスダンスのSOVはまだ無い（マニフェストに dance が無い）。読み込んだシーズンがあれば RD は採点できる
+  const dance = !!hasSeason(danceSOVKey());
+  try {
+    computeProgram({ segment: 'senior-dance-rd', elements: [parseElement('StaLi4')], pcs: {} });
+    if (!dance) errors.push('senior-dance-rd: scored without an ice dance SOV');
+  } catch (err) {
+    if (dance || !/アイスダンスのSOV/.test(err.message)) errors.push(`senior-dance-rd: ${err.message}`);
+  }
+  return errors;
+}
+
+// SOVの表の変換: tools/fixtures のテキスト（基礎点が先頭、小数点のカンマ、U+2212 のマイナス）と CSV（基礎点が -1 と +1 の間）に
+// キリル文字の似た字の入ったコードを混ぜ、値が 2025-26 のSOVと同じになること、書き出しの書式、前シーズンとの差分の行を確かめる
+const CONVERT_CASES = [
+  {
+    input: 'sov-sample.txt',
+    codes: ['3A', '3Lz', '2A', 'CCoSp4'],
+    renamed: ['3А → 3A', 'СCoSp4 → CCoSp4'],
+    diff: ['追加 (1): CCoSp4', '削除 (2): 4T StSq4', '基礎点の変更 (1):', '  3Lz 6.00 → 5.90', 'GOEのみ変更 (1): 2A']
+  },
+  {
+    input: 'sov-sample.csv',
+    codes: ['StSq4', 'FCSp4', '3T'],
+    renamed: ['FCSр4 → FCSp4'],
+    diff: ['追加 (2): FCSp4 3T', '削除 (4): 3A 3Lz 2A 4T']
+  }
+];
+
+function checkConvertSOV(sov) {
+  const errors = [];
+  const fixtures = path.join(here, 'fixtures');
+  for (const c of CONVERT_CASES) {
+    const run = spawnSync(process.execPath, [path.join(here, 'convert-sov.mjs'), path.join(fixtures, c.input), '--prev', path.join(fixtures, 'sov-sample-prev.json'), '--source', 'sample'],
+      { encoding: 'utf8', timeout: 30000 });
+    if (run.error || !run.stdout) {
+      errors.push(`${c.input}: ${run.error?.message || run.stderr.trim()}`);
+      continue;
+    }
+    let data;
+    try { data = JSON.parse(run.stdout); }
+    catch (err) { errors.push(`${c.input}: output is not JSON (${err.message})`); continue; }
+    const expected = Object.fromEntries(c.codes.map(code => [code, sov.elements[code]]));
+    if (JSON.stringify(data.elements) !== JSON.stringify(expected)) errors.push(`${c.input}: elements ${JSON.stringify(data.elements)}`);
+    if (JSON.stringify(data.meta) !== JSON.stringify({ source: 'sample', converted_from: c.input })) errors.push(`${c.input}: meta ${JSON.stringify(data.meta)}`);
+    if (!run.stdout.includes('"goe": {\n        "-5": ')) errors.push(`${c.input}: GOE columns are not written from -5`);
+    const log = run.stderr.split('\n');
+    const renamed = log.filter(l => l.startsWith('[fix]')).map(l => l.replace(/^\[fix\]\s+/, ''));
+    if (JSON.stringify(renamed) !== JSON.stringify(c.renamed)) errors.push(`${c.input}: renamed ${JSON.stringify(renamed)}`);
+    const start = log.findIndex(l => l.startsWith('差分:'));
+    const diff = start < 0 ? [] : log.slice(start + 1).filter(Boolean);
+    if (JSON.stringify(diff) !== JSON.stringify(c.diff)) errors.push(`${c.input}: diff ${JSON.stringify(diff)}`);
+  }
+  return errors;
+}
+
+function report(name, errors) {
+  if (errors.length === 0) {
+    console.log(`ok   ${name}`);
+  } else {
+    console.log(`FAIL ${name}`);
+    errors.forEach(e => console.log(`     ${e}`));
+  }
+  return errors.length === 0;
+}
+
+async function main() {
+  // マニフェストの全シーズンを読み込む（既定のシーズンが選択された状態にする）。アイスダンスのSOVも読む
+  const manifest = await readJSON(path.join(root, 'sov_manifest.json'));
+  setManifest(manifest);
+  const seasons = [manifest.default, ...manifest.seasons.map(s => s.id).filter(id => id !== manifest.default)];
+  const sovKeys = [];
+  const sovData = {};
+  for (const id of seasons) {
+    const entry = manifest.seasons.find(s => s.id === id);
+    sovData[id] = await readJSON(path.join(root, entry.file));
+    loadSOV(sovData[id], id);
+    sovKeys.push(id);
+    if (entry.dance) {
+      loadSOV(await readJSON(path.join(root, entry.dance)), danceSOVKey(id));
+      sovKeys.push(danceSOVKey(id));
+    }
+  }
+
+  let files = process.argv.slice(2);
+  if (files.length === 0) {
+    const dir = path.join(here, 'protocols');
+    files = (await readdir(dir)).filter(f => /\.(json|txt)$/.test(f)).sort().map(f => path.join(dir, f));
+  }
+
+  let failed = 0;
+  let published = 0;
+  for (const file of files) {
+    let name, source, errors;
+    if (file.endsWith('.txt')) {
+      const res = checkJudgesDetails(await readFile(file, 'utf8'));
+      name = res.name || path.basename(file);
+      source = res.source;
+      errors = res.errors;
+    } else {
+      const protocol = await readJSON(file);
+      name = protocol.title || path.basename(file);
+      source = protocol.source;
+      errors = check(protocol);
+    }
+    if (source?.kind === 'published') {
+      published++;
+      name += ` — ${source.event} / ${source.segment} / ${source.skater}`;
+    } else {
+      name += ' [hand-computed]';
+    }
+    if (errors.length === 0) {
+      console.log(`ok   ${name}`);
+    } else {
+      failed++;
+      console.log(`FAIL ${name}`);
+      errors.forEach(e => console.log(`     ${e}`));
+    }
+  }
+  console.log(`\n${files.length - failed}/${files.length} protocols match (published: ${published}, hand-computed: ${files.length - published})`);
+
+  const sovOk = report('SOV integrity', sovKeys.flatMap(id => getSOVReport(id).errors.map(m => `${id}: ${m}`)));
+  const notationOk = report('notation round-trip', checkNotation());
+  const shareOk = report('share links', checkShareLinks());
+  const decoderOk = report('share link validation', checkShareDecoder());
+  const compareOk = report('season compare', checkCompareSeasons(sovData[manifest.default], manifest.default));
+  const exportOk = report('export', checkExport());
+  const levelsOk = report('spin / step levels', checkLevels());
+  const goeGuideOk = report('GOE guide', checkGOEGuide());
+  const historyOk = report('history', checkHistory());
+  const libraryOk = report('library storage', checkLibrary());
+  const standingsOk = report('competition standings', checkStandings());
+  const targetOk = report('target solver', checkTarget());
+  const disciplinesOk = report('disciplines without SOV tables', checkDisciplines());
+  const convertOk = report('SOV conversion', checkConvertSOV(sovData[manifest.default]));
+  process.exitCode = failed || !sovOk || !notationOk || !shareOk || !decoderOk || !compareOk || !exportOk || !levelsOk || !goeGuideOk || !historyOk || !libraryOk || !standingsOk || !targetOk || !disciplinesOk || !convertOk ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});